@@ -202,13 +202,12 @@ const Analytics = {
             });
         }
         
-        // Track language switches
-        document.querySelectorAll('.lang-btn').forEach(btn => {
-            btn.addEventListener('click', () => {
-                const lang = btn.getAttribute('data-lang');
-                this.trackEvent('Language', 'Switch', lang);
+        // Track language switches (switcher and back/forward), only once the new language is applied
+        if (typeof i18n !== 'undefined') {
+            i18n.onChange(({ lang, source }) => {
+                this.trackEvent('Language', source === 'history' ? 'History' : 'Switch', lang);
             });
-        });
+        }
         
         // Track scroll depth
         this.trackScrollDepth();
@@ -0,0 +1,226 @@
+/**
+ * Product Catalog for Vu Anh Website
+ * Loads the product dataset and renders the product grid and inquiry options
+ */
+
+const ProductCatalog = {
+    dataUrl: '/data/products.json',
+    products: [],
+    partners: {},
+    specLabels: {},
+    facets: {},
+    loaded: false,
+
+    /**
+     * Initialize catalog: load data and render
+     */
+    init: async function() {
+        const success = await this.load();
+        if (!success) {
+            // Keep the static HTML fallback in place
+            console.warn('[Catalog] Using static product markup');
+            return false;
+        }
+
+        this.render();
+        console.log(`[Catalog] Initialized with ${this.products.length} products`);
+        return true;
+    },
+
+    /**
+     * Load product dataset
+     */
+    load: async function() {
+        try {
+            const response = await fetch(this.dataUrl);
+            if (!response.ok) {
+                throw new Error(`Failed to load ${this.dataUrl}`);
+            }
+            const data = await response.json();
+            this.products = Array.isArray(data.products) ? data.products : [];
+            this.partners = data.partners || {};
+            this.specLabels = data.specLabels || {};
+            this.facets = data.facets || {};
+            this.loaded = true;
+            return true;
+        } catch (error) {
+            console.error('[Catalog] Error loading products:', error);
+            return false;
+        }
+    },
+
+    /**
+     * Get product by id
+     */
+    getProduct: function(id) {
+        return this.products.find(product => product.id === id) || null;
+    },
+
+    /**
+     * Get partner info for a product
+     */
+    getPartner: function(product) {
+        if (!product || !product.partner) return null;
+        return this.partners[product.partner] || null;
+    },
+
+    /**
+     * Get the facet values of a product for a facet group
+     * ('partner' comes from the product's partner, other groups from product.facets)
+     */
+    getFacetValues: function(product, group) {
+        if (group === 'partner') {
+            return product.partner ? [product.partner] : [];
+        }
+        return (product.facets && product.facets[group]) || [];
+    },
+
+    /**
+     * Resolve a localized field ({ en: ..., vi: ..., cn: ..., ko: ..., ja: ... }) for the current language
+     */
+    localize: function(value, lang = i18n.currentLang) {
+        if (value === null || value === undefined) return '';
+        if (typeof value !== 'object' || Array.isArray(value)) return value;
+
+        if (value[lang] !== undefined) return value[lang];
+        if (value[i18n.defaultLang] !== undefined) return value[i18n.defaultLang];
+        return '';
+    },
+
+    /**
+     * Render product cards and inquiry options
+     */
+    render: function() {
+        if (!this.loaded) return;
+
+        this.renderGrid();
+        this.renderInquiryOptions();
+
+        // Re-apply any filter typed before the grid was rendered
+        if (typeof filterProducts === 'function') {
+            filterProducts();
+        }
+    },
+
+    /**
+     * Replace the static product grid with cards built from the catalog
+     */
+    renderGrid: function() {
+        const grid = document.getElementById('productGrid');
+        if (!grid) return;
+
+        const fragment = document.createDocumentFragment();
+        this.products.forEach(product => {
+            fragment.appendChild(this.createCard(product));
+        });
+
+        grid.innerHTML = '';
+        grid.appendChild(fragment);
+    },
+
+    /**
+     * Build a single product card element
+     */
+    createCard: function(product) {
+        const card = document.createElement('article');
+        card.className = 'product-card';
+        card.setAttribute('data-product-id', product.id);
+        card.setAttribute('data-keywords', (product.keywords || []).join(' '));
+        if (product.partner) {
+            card.setAttribute('data-partner', product.partner);
+        }
+
+        // Header: title and series
+        const header = document.createElement('div');
+        header.className = 'product-header';
+
+        const title = document.createElement('h3');
+        title.textContent = this.localize(product.title);
+        header.appendChild(title);
+
+        const series = document.createElement('p');
+        series.textContent = this.localize(product.series);
+        header.appendChild(series);
+
+        card.appendChild(header);
+
+        // Body: partner logo and feature list
+        const body = document.createElement('div');
+        body.className = 'product-body';
+
+        if (product.image) {
+            const partner = this.getPartner(product);
+            const img = document.createElement('img');
+            img.className = 'product-image';
+            img.src = product.image;
+            img.alt = partner ? partner.name : '';
+            img.loading = 'lazy';
+            img.width = 120;
+            img.height = 40;
+            body.appendChild(img);
+        }
+
+        const list = document.createElement('ul');
+        (this.localize(product.features) || []).forEach(feature => {
+            const item = document.createElement('li');
+            item.textContent = feature;
+            list.appendChild(item);
+        });
+        body.appendChild(list);
+
+        // Detail link, routed like the other in-page links
+        const detailsLink = document.createElement('a');
+        detailsLink.className = 'product-details-link';
+        detailsLink.href = `#products/${product.id}`;
+        detailsLink.textContent = i18n.t('products.viewDetails');
+        if (typeof handleNavLinkClick === 'function') {
+            detailsLink.addEventListener('click', handleNavLinkClick);
+        }
+        body.appendChild(detailsLink);
+
+        if (typeof ProductCompare !== 'undefined') {
+            body.appendChild(ProductCompare.createToggleButton(product));
+        }
+
+        if (typeof QuoteCart !== 'undefined') {
+            body.appendChild(QuoteCart.createToggleButton(product));
+        }
+
+        card.appendChild(body);
+        return card;
+    },
+
+    /**
+     * Rebuild the product options of the inquiry form select
+     * Keeps the placeholder (value="") and "other" options from the HTML
+     */
+    renderInquiryOptions: function() {
+        const select = document.getElementById('inquiryProduct');
+        if (!select) return;
+
+        const selectedValue = select.value;
+        const otherOption = select.querySelector('option[value="other"]');
+
+        select.querySelectorAll('option').forEach(option => {
+            if (option.value !== '' && option.value !== 'other') {
+                option.remove();
+            }
+        });
+
+        this.products.forEach(product => {
+            if (!product.inquiryValue) return;
+
+            const option = document.createElement('option');
+            option.value = product.inquiryValue;
+            option.textContent = this.localize(product.name);
+            select.insertBefore(option, otherOption);
+        });
+
+        select.value = selectedValue;
+    }
+};
+
+// Export for use in other scripts
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ProductCatalog;
+}
@@ -4,7 +4,17 @@
  */
 
 const FormHandler = {
-    pendingSubmissions: [],
+    pendingCount: 0,
+    retryTimer: null,
+    visibleMessage: null,
+    messageTimer: null,
+    
+    // Inline errors on screen (field → { key, params }) and fields the visitor has typed in
+    fieldErrors: {},
+    dirtyFields: {},
+    
+    // Queue id of the pending submission being edited in the form (replaced once the form is sent or queued)
+    editingId: null,
     
     /**
      * Initialize form handler
@@ -12,6 +22,20 @@ const FormHandler = {
     init: function() {
         this.loadPendingSubmissions();
         this.setupOnlineListener();
+        
+        const form = document.getElementById('inquiryForm');
+        if (form) {
+            this.setupPhoneCountry(form);
+            this.setupFieldValidation(form);
+            SpamGuard.watch(form);
+        }
+        
+        // Re-translate the button, message and badge when the language changes or contact texts arrive
+        i18n.onChange(() => this.refreshLanguage());
+        document.addEventListener('i18n:sectionload', (e) => {
+            if (e.detail.section === 'contact') this.refreshLanguage();
+        });
+        
         console.log('[FormHandler] Initialized');
     },
     
@@ -26,68 +50,82 @@ const FormHandler = {
         const submitButton = form.querySelector('.form-submit');
         const messageDiv = document.getElementById('formMessage');
         
-        // Step 1: Rate limiting check
-        const rateLimitCheck = RateLimiter.checkLimit('contact-form', 3, 300000); // 3 attempts per 5min
-        if (!rateLimitCheck.allowed) {
-            this.showMessage(
-                i18n.t('contact.form.errorRate', { time: rateLimitCheck.waitTime }),
-                'error'
-            );
-            return;
-        }
-        
-        // Step 2: Extract and sanitize form data
+        // Step 1: Extract form data
         const formData = this.extractFormData(form);
         
-        // Step 3: Validate all fields
+        // Step 2: Validate all fields (invalid attempts don't count against the rate limit)
         const validation = this.validateFormData(formData);
         if (!validation.valid) {
-            this.showMessage(validation.message, 'error');
-            this.highlightInvalidFields(form, validation.fields);
+            this.hideMessage();
+            this.showFieldErrors(form, validation.errors);
+            this.updateErrorSummary(form, true);
+            form.elements.namedItem(validation.fields[0]).focus();
             return;
         }
         
-        // Step 4: Generate CSRF token
-        const csrfToken = SecurityUtils.generateCSRFToken();
-        SecurityUtils.storeCSRFToken(csrfToken);
+        // Step 3: Rate limiting, before the spam check spends any work on the submission
+        const rateLimitCheck = RateLimiter.checkLimit('contact-form', 3, 300000); // 3 attempts per 5min
+        if (!rateLimitCheck.allowed) {
+            this.showMessage(
+                { key: 'contact.form.errorRate', params: { time: rateLimitCheck.waitTime } },
+                'error'
+            );
+            return;
+        }
         
-        // Step 5: Prepare submission
+        // Step 4: Prepare submission (phone in E.164; the idempotency key stays with it through offline retries)
         const submission = {
             ...formData,
+            phone: PhoneNumbers.normalize(formData.phone, formData.phoneCountry),
             timestamp: Date.now(),
-            csrfToken: csrfToken,
+            idempotencyKey: SecurityUtils.generateIdempotencyKey(),
             sessionId: Analytics.sessionId || 'unknown',
             language: i18n.currentLang
         };
         
-        // Step 6: Disable form during submission
+        // Step 5: Disable form during submission
         this.setFormState(form, submitButton, true);
         
-        // Step 7: Attempt to send
+        // Step 6: Attempt to send, with the spam signals (spam-guard.js); the receiving side decides what is spam
         try {
-            const success = await this.sendSubmission(submission);
+            const honeypot = form.elements.namedItem(SpamGuard.honeypotField);
+            submission.spam = await SpamGuard.check(submission, honeypot ? honeypot.value : '');
+            if (submission.spam.signals.length > 0) {
+                Analytics.trackEvent('Form', 'Spam Signals', submission.spam.signals.join(','));
+            }
+            
+            const result = await this.sendSubmission(submission, { interactive: true });
             
-            if (success) {
-                this.showMessage(i18n.t('contact.form.success'), 'success');
+            if (result.delivered) {
+                this.showMessage({ key: 'contact.form.success' }, 'success');
                 form.reset();
+                this.clearFieldErrors(form);
+                SpamGuard.reset();
+                this.clearQuoteCart(submission);
+                await this.finishEditing();
                 Analytics.trackEvent('Form', 'Success', 'Contact Form');
             } else {
-                throw new Error('Submission failed');
+                // Every server failed and the mail app was opened instead; keep the form until it is sent
+                this.showMessage({ key: 'contact.form.mailtoOpened' }, 'warning');
+                Analytics.trackEvent('Form', 'Mail App', 'Contact Form');
             }
         } catch (error) {
             console.error('[FormHandler] Submission error:', error);
             
-            // Check if offline
-            if (!navigator.onLine) {
-                this.queueOfflineSubmission(submission);
-                this.showMessage(
-                    'You are offline. Your message has been saved and will be sent when you reconnect.',
-                    'warning'
-                );
+            // Refused by the receiver (e.g. 422 from the inquiry service): keep the form and say why
+            if (error.permanent) {
+                this.showMessage({ key: 'contact.form.errorRejected', params: { reason: error.message } }, 'error');
+                Analytics.trackEvent('Form', 'Rejected', String(error.status));
+            } else if (!navigator.onLine && await this.queueOfflineSubmission(submission)) {
+                this.showMessage({ key: 'contact.form.queuedOffline' }, 'warning');
                 form.reset();
+                this.clearFieldErrors(form);
+                SpamGuard.reset();
+                this.clearQuoteCart(submission);
+                await this.finishEditing();
                 Analytics.trackEvent('Form', 'Queued Offline', 'Contact Form');
             } else {
-                this.showMessage(i18n.t('contact.form.error'), 'error');
+                this.showMessage({ key: 'contact.form.error' }, 'error');
                 Analytics.trackEvent('Form', 'Error', 'Contact Form');
             }
         } finally {
@@ -96,234 +134,459 @@ const FormHandler = {
     },
     
     /**
-     * Extract and sanitize form data
+     * Extract form data as plain trimmed text
+     * Not HTML-encoded: it goes out as mail and form fields, and is only ever shown with textContent
      */
     extractFormData: function(form) {
         return {
-            name: SecurityUtils.sanitizeInput(form.name.value.trim()),
-            email: SecurityUtils.sanitizeInput(form.email.value.trim()),
-            phone: SecurityUtils.sanitizeInput(form.phone.value.trim()),
-            product: SecurityUtils.sanitizeInput(form.product.value),
-            message: SecurityUtils.sanitizeInput(form.message.value.trim())
+            name: form.name.value.trim(),
+            email: form.email.value.trim(),
+            phone: form.phone.value.trim(),
+            phoneCountry: form.phoneCountry ? form.phoneCountry.value : PhoneNumbers.defaultCountry,
+            product: form.product.value,
+            message: form.message.value.trim(),
+            items: typeof QuoteCart !== 'undefined' ? QuoteCart.getPayloadItems() : []
         };
     },
     
     /**
-     * Comprehensive form validation
+     * Empty the quote cart once its items are sent or queued with a submission
      */
-    validateFormData: function(data) {
-        const invalidFields = [];
-        
-        // Name validation
-        if (!data.name || data.name.length < 2) {
-            invalidFields.push('name');
-        }
-        if (data.name.length > 100) {
-            return { valid: false, message: 'Name is too long (max 100 characters)', fields: ['name'] };
-        }
-        
-        // Email validation - USE SecurityUtils
-        if (!data.email) {
-            invalidFields.push('email');
-        } else if (!SecurityUtils.validateEmail(data.email)) {
-            return { valid: false, message: i18n.t('contact.form.errorEmail'), fields: ['email'] };
-        }
-        if (data.email.length > 254) {
-            return { valid: false, message: 'Email is too long', fields: ['email'] };
+    clearQuoteCart: function(submission) {
+        if (typeof QuoteCart !== 'undefined' && submission.items && submission.items.length > 0) {
+            QuoteCart.clear();
         }
+    },
+    
+    /**
+     * Comprehensive form validation (rules in form-validation.js, shared with the inquiry service)
+     * @returns {Object} { valid, message: { key, params } translation of the error, fields }
+     */
+    validateFormData: function(data) {
+        return FormValidation.validate(data);
+    },
+    
+    /**
+     * Country selector of the phone field (phone-numbers.js), Vietnam by default
+     * A number typed with its calling code (+82 ...) selects that country
+     */
+    setupPhoneCountry: function(form) {
+        const select = form.elements.namedItem('phoneCountry');
+        const input = form.elements.namedItem('phone');
+        if (!select || !input) return;
         
-        // Phone validation - USE SecurityUtils
-        if (data.phone && !SecurityUtils.validatePhone(data.phone)) {
-            return { valid: false, message: 'Phone number contains invalid characters', fields: ['phone'] };
-        }
-        
-        // Message validation
-        if (!data.message || data.message.length < 10) {
-            return { valid: false, message: i18n.t('contact.form.errorMessage'), fields: ['message'] };
-        }
-        if (data.message.length > 5000) {
-            return { valid: false, message: 'Message is too long (max 5000 characters)', fields: ['message'] };
-        }
-        
-        // Check for spam patterns
-        const spamPatterns = [
-            /(?:https?:\/\/){3,}/gi, // Multiple URLs
-            /(?:viagra|cialis|casino|lottery)/gi, // Spam keywords
-            /(.)\1{20,}/gi // Repeated characters
-        ];
-        
-        for (const pattern of spamPatterns) {
-            if (pattern.test(data.message) || pattern.test(data.name)) {
-                return { valid: false, message: 'Message appears to be spam', fields: [] };
-            }
-        }
+        this.renderPhoneCountries(select);
         
-        // Check if all required fields are present
-        if (invalidFields.length > 0) {
-            return { valid: false, message: i18n.t('contact.form.errorFields'), fields: invalidFields };
-        }
+        input.addEventListener('change', () => {
+            const parsed = PhoneNumbers.parse(input.value, select.value);
+            if (parsed.country) select.value = parsed.country;
+        });
         
-        return { valid: true, message: '', fields: [] };
+        select.addEventListener('change', () => {
+            if (this.dirtyFields.phone) this.validateField(form, 'phone');
+        });
     },
     
     /**
-     * Highlight invalid form fields
+     * Country options in the current language ("Việt Nam +84"), keeping the selection
      */
-    highlightInvalidFields: function(form, fields) {
-        // Remove previous highlights
-        form.querySelectorAll('.form-group').forEach(group => {
-            group.classList.remove('error');
-        });
-        
-        // Add highlights to invalid fields
-        fields.forEach(fieldName => {
-            const input = form.querySelector(`[name="${fieldName}"]`);
-            if (input) {
-                input.closest('.form-group').classList.add('error');
-                input.setAttribute('aria-invalid', 'true');
-            }
+    renderPhoneCountries: function(select) {
+        const value = select.value || PhoneNumbers.defaultCountry;
+        select.innerHTML = '';
+        PhoneNumbers.countries.forEach(country => {
+            const option = document.createElement('option');
+            option.value = country.code;
+            option.textContent = `${i18n.formatRegion(country.code)} +${country.dial}`;
+            option.defaultSelected = country.code === PhoneNumbers.defaultCountry;
+            select.appendChild(option);
         });
+        select.value = value;
     },
     
     /**
-     * Send form submission to Formspree
+     * Live validation with the shared rules (form-validation.js): a field is checked when the visitor
+     * leaves it after typing, then on every change while it shows an error
+     * Each field gets an inline message linked with aria-describedby
      */
-    sendSubmission: async function(data) {
-        const formData = new FormData();
-        formData.append('name', data.name);
-        formData.append('email', data.email);
-        formData.append('phone', data.phone);
-        formData.append('product', data.product);
-        formData.append('message', data.message);
-        formData.append('_language', data.language);
-        formData.append('_timestamp', new Date(data.timestamp).toISOString());
-        
-        const response = await fetch('https://formspree.io/f/mqayvobj', {
-            method: 'POST',
-            body: formData,
-            headers: {
-                'Accept': 'application/json'
-            }
+    setupFieldValidation: function(form) {
+        FormValidation.fields.forEach(field => {
+            const input = form.elements.namedItem(field);
+            if (!input) return;
+            
+            const message = document.createElement('p');
+            message.className = 'field-error';
+            message.id = `${input.id}Error`;
+            message.hidden = true;
+            input.closest('.form-group').appendChild(message);
+            
+            const describedBy = input.getAttribute('aria-describedby');
+            input.setAttribute('aria-describedby', describedBy ? `${describedBy} ${message.id}` : message.id);
+            
+            input.addEventListener('input', () => {
+                this.dirtyFields[field] = true;
+                if (this.fieldErrors[field]) this.validateField(form, field);
+            });
+            
+            // Tabbing through an untouched field is not an error yet
+            input.addEventListener('blur', () => {
+                if (this.dirtyFields[field]) this.validateField(form, field);
+            });
         });
+    },
+    
+    /**
+     * Validate one field, show or clear its message and keep the error summary in step
+     * @returns {boolean} - Whether the field is valid
+     */
+    validateField: function(form, field) {
+        const error = FormValidation.validateField(field, this.extractFormData(form));
+        this.setFieldError(form, field, error);
+        this.updateErrorSummary(form);
+        return !error;
+    },
+    
+    /**
+     * Show (or clear, with null) the inline message, .error class and aria-invalid of a field
+     */
+    setFieldError: function(form, field, error) {
+        const input = form.elements.namedItem(field);
+        const message = input && document.getElementById(`${input.id}Error`);
+        if (!message) return;
         
-        if (!response.ok) {
-            const errorData = await response.json();
-            throw new Error(errorData.errors?.[0]?.message || 'Submission failed');
+        const group = input.closest('.form-group');
+        if (error) {
+            this.fieldErrors[field] = error;
+            message.textContent = i18n.t(error.key, error.params);
+            message.hidden = false;
+            group.classList.add('error');
+            input.setAttribute('aria-invalid', 'true');
+        } else {
+            delete this.fieldErrors[field];
+            message.textContent = '';
+            message.hidden = true;
+            group.classList.remove('error');
+            input.removeAttribute('aria-invalid');
         }
-        
-        return true;
     },
     
     /**
-     * Queue submission for sending when online
+     * Show the errors of a full validation (fields without an error are cleared)
      */
-    queueOfflineSubmission: function(submission) {
-        this.pendingSubmissions.push(submission);
-        this.savePendingSubmissions();
+    showFieldErrors: function(form, errors) {
+        FormValidation.fields.forEach(field => this.setFieldError(form, field, errors[field] || null));
+    },
+    
+    clearFieldErrors: function(form) {
+        this.dirtyFields = {};
+        this.showFieldErrors(form, {});
+        this.updateErrorSummary(form);
+    },
+    
+    /**
+     * Error summary above the fields with a link to each invalid field
+     * Opened by a failed submit; live validation updates it and hides it once every field is valid
+     * @param {boolean} open - Show the summary (else only an open summary is updated)
+     */
+    updateErrorSummary: function(form, open = false) {
+        let summary = form.querySelector('.form-error-summary');
+        if (!summary) {
+            if (!open) return;
+            summary = document.createElement('div');
+            summary.className = 'form-error-summary';
+            summary.hidden = true;
+            form.insertBefore(summary, form.querySelector('.form-group'));
+        }
+        if (!open && summary.hidden) return;
         
-        // Show notification badge
-        this.updateOfflineBadge();
+        const fields = FormValidation.fields.filter(field => this.fieldErrors[field]);
+        summary.innerHTML = '';
+        summary.hidden = fields.length === 0;
+        if (summary.hidden) return;
+        
+        const title = document.createElement('p');
+        title.className = 'form-error-summary-title';
+        title.textContent = i18n.t('contact.form.errorSummary', { count: fields.length });
+        
+        const list = document.createElement('ul');
+        fields.forEach(field => {
+            const input = form.elements.namedItem(field);
+            const link = document.createElement('a');
+            link.href = `#${input.id}`;
+            link.textContent = i18n.t(this.fieldErrors[field].key, this.fieldErrors[field].params);
+            link.addEventListener('click', (e) => {
+                e.preventDefault();
+                input.focus();
+            });
+            
+            const item = document.createElement('li');
+            item.appendChild(link);
+            list.appendChild(item);
+        });
+        
+        summary.append(title, list);
+    },
+    
+    /**
+     * Send form submission through the configured inquiry transports (inquiry-transports.js)
+     * @param {Object} options - interactive: sent by the visitor's submit, may fall back to mailto:
+     * @returns {Promise<Object>} { transport, delivered }
+     */
+    sendSubmission: async function(data, options = {}) {
+        return InquiryTransports.send(data, options);
     },
     
     /**
-     * Save pending submissions to localStorage
+     * Queue submission in IndexedDB (inquiry-queue.js) and ask for it to be sent once online
+     * @returns {Promise<boolean>} false when the queue is unavailable (e.g. storage blocked)
      */
-    savePendingSubmissions: function() {
+    queueOfflineSubmission: async function(submission) {
         try {
-            localStorage.setItem('vuanh_pending_submissions', JSON.stringify(this.pendingSubmissions));
-        } catch (e) {
-            console.error('[FormHandler] Could not save pending submissions');
+            await InquiryQueue.add(submission, InquiryTransports.getConfig());
+        } catch (error) {
+            console.error('[FormHandler] Could not queue submission:', error);
+            return false;
         }
+        
+        // Show notification badge
+        await this.updatePendingCount();
+        this.requestSync();
+        return true;
     },
     
     /**
-     * Load pending submissions from localStorage
+     * Encrypt submissions saved by earlier versions, drop expired ones, show the badge and retry what is due
      */
-    loadPendingSubmissions: function() {
+    loadPendingSubmissions: async function() {
         try {
-            const saved = localStorage.getItem('vuanh_pending_submissions');
-            if (saved) {
-                this.pendingSubmissions = JSON.parse(saved);
-                if (this.pendingSubmissions.length > 0) {
-                    this.updateOfflineBadge();
-                }
-            }
-        } catch (e) {
-            console.error('[FormHandler] Could not load pending submissions');
-            this.pendingSubmissions = [];
+            await InquiryQueue.migrateLegacy(InquiryTransports.getConfig());
+            await InquiryQueue.purgeExpired();
+            await this.updatePendingCount();
+            if (this.pendingCount > 0) this.requestSync();
+        } catch (error) {
+            console.error('[FormHandler] Could not load pending submissions:', error);
         }
     },
     
     /**
-     * Setup online event listener to send pending submissions
+     * Send pending submissions when the connection returns; show results of background sends
      */
     setupOnlineListener: function() {
-        window.addEventListener('online', async () => {
+        window.addEventListener('online', () => {
             console.log('[FormHandler] Connection restored, sending pending submissions...');
-            await this.sendPendingSubmissions();
+            this.requestSync();
         });
+        
+        if ('serviceWorker' in navigator) {
+            navigator.serviceWorker.addEventListener('message', (event) => {
+                if (event.data && event.data.type === 'INQUIRY_QUEUE') {
+                    this.handleQueueStatus(event.data);
+                }
+                if (event.data && event.data.type === 'INQUIRY_PROGRESS') {
+                    this.handleQueueProgress(event.data);
+                }
+            });
+        }
     },
     
     /**
-     * Send all pending submissions
+     * Have the queue sent: by the service worker through Background Sync when supported, else from this tab
      */
-    sendPendingSubmissions: async function() {
-        if (this.pendingSubmissions.length === 0) return;
-        
-        const results = [];
-        
-        for (const submission of this.pendingSubmissions) {
+    requestSync: async function() {
+        if ('serviceWorker' in navigator && 'SyncManager' in window) {
             try {
-                const success = await this.sendSubmission(submission);
-                results.push({ submission, success });
-                
-                // Small delay between submissions to avoid rate limiting
-                await new Promise(resolve => setTimeout(resolve, 1000));
+                const registration = await navigator.serviceWorker.getRegistration();
+                if (registration && registration.active) {
+                    await registration.sync.register(InquiryQueue.syncTag);
+                    return;
+                }
             } catch (error) {
-                console.error('[FormHandler] Failed to send pending submission:', error);
-                results.push({ submission, success: false });
+                console.warn('[FormHandler] Background sync unavailable:', error.message);
             }
         }
         
-        // Remove successful submissions
-        this.pendingSubmissions = results
-            .filter(r => !r.success)
-            .map(r => r.submission);
-        
-        this.savePendingSubmissions();
-        this.updateOfflineBadge();
+        await this.sendPendingSubmissions();
+    },
+    
+    /**
+     * Send the due pending submissions from this tab
+     */
+    sendPendingSubmissions: async function() {
+        if (!navigator.onLine) return;
         
-        // Show notification
-        const successCount = results.filter(r => r.success).length;
-        if (successCount > 0) {
-            this.showMessage(
-                `${successCount} pending message(s) sent successfully!`,
-                'success'
+        try {
+            const status = await InquiryQueue.flush(
+                (submission, transports) => this.sendSubmission(submission, { transports }),
+                (progress) => this.handleQueueProgress(progress)
             );
+            await this.handleQueueStatus(status);
+        } catch (error) {
+            console.error('[FormHandler] Failed to send pending submissions:', error);
         }
     },
     
+    /**
+     * Result of a send run (this tab or the service worker): badge, message and the next retry
+     * @param {Object} status - { sent, failed, pending, nextAttemptAt } from InquiryQueue.flush
+     */
+    handleQueueStatus: async function(status) {
+        await this.updatePendingCount();
+        this.scheduleRetry(status.nextAttemptAt);
+        if (typeof PendingSubmissions !== 'undefined') await PendingSubmissions.refresh();
+        if (status.sent === 0 && status.failed === 0) return;
+        
+        // Contact texts may not be loaded yet when the visitor never scrolled to the form
+        await i18n.requireSection('contact');
+        if (status.failed > 0) {
+            this.showMessage({ key: 'contact.form.pending.failed', params: { count: status.failed } }, 'error');
+            Analytics.trackEvent('Form', 'Queue Failed', 'Contact Form');
+        } else {
+            this.showMessage({ key: 'contact.form.pending.sent', params: { count: status.sent } }, 'success');
+        }
+    },
+    
+    /**
+     * State of one item while a send run works through the queue (shown in the pending panel)
+     * @param {Object} progress - { id, status } from InquiryQueue.flush
+     */
+    handleQueueProgress: function(progress) {
+        if (typeof PendingSubmissions !== 'undefined') {
+            PendingSubmissions.setProgress(progress.id, progress.status);
+        }
+    },
+    
+    /**
+     * While the tab is open, ask again when the next backed-off attempt is due
+     */
+    scheduleRetry: function(nextAttemptAt) {
+        clearTimeout(this.retryTimer);
+        if (!nextAttemptAt) return;
+        
+        this.retryTimer = setTimeout(() => this.requestSync(), Math.max(nextAttemptAt - Date.now(), 0));
+    },
+    
+    /**
+     * Number of queued submissions (shown in the badge)
+     */
+    updatePendingCount: async function() {
+        this.pendingCount = await InquiryQueue.count();
+        this.updateOfflineBadge();
+    },
+    
     /**
      * Update offline submission badge
      */
     updateOfflineBadge: function() {
         let badge = document.querySelector('.offline-badge');
         
-        if (this.pendingSubmissions.length > 0) {
+        if (this.pendingCount > 0) {
             if (!badge) {
                 badge = document.createElement('div');
                 badge.className = 'offline-badge';
-                badge.setAttribute('role', 'status');
-                badge.setAttribute('aria-live', 'polite');
+                
+                // Opens the pending panel (pending-submissions.js)
+                const open = document.createElement('button');
+                open.type = 'button';
+                open.className = 'offline-badge-open';
+                open.setAttribute('aria-expanded', 'false');
+                open.setAttribute('aria-controls', 'pendingPanel');
+                open.addEventListener('click', () => PendingSubmissions.toggle(open));
+                
+                const text = document.createElement('span');
+                text.className = 'offline-badge-text';
+                text.setAttribute('role', 'status');
+                text.setAttribute('aria-live', 'polite');
+                open.appendChild(text);
+                
+                // Visitors on shared computers can remove their queued details
+                const discard = document.createElement('button');
+                discard.type = 'button';
+                discard.className = 'offline-badge-discard';
+                discard.addEventListener('click', () => this.discardPendingSubmissions());
+                
+                badge.append(open, discard);
                 document.body.appendChild(badge);
             }
-            badge.textContent = `${this.pendingSubmissions.length} pending message(s)`;
-            badge.style.display = 'block';
+            badge.querySelector('.offline-badge-text').textContent = i18n.t('contact.form.pending.badge', { count: this.pendingCount });
+            badge.querySelector('.offline-badge-discard').textContent = i18n.t('contact.form.pending.discard');
+            badge.style.display = 'flex';
         } else if (badge) {
             badge.style.display = 'none';
         }
     },
     
+    /**
+     * Delete all queued submissions after the visitor confirms
+     */
+    discardPendingSubmissions: async function() {
+        if (!window.confirm(i18n.t('contact.form.pending.discardConfirm', { count: this.pendingCount }))) return;
+        
+        try {
+            await InquiryQueue.clear();
+        } catch (error) {
+            console.error('[FormHandler] Could not discard pending submissions:', error);
+            return;
+        }
+        
+        clearTimeout(this.retryTimer);
+        if (typeof PendingSubmissions !== 'undefined') PendingSubmissions.close();
+        await this.updatePendingCount();
+        this.showMessage({ key: 'contact.form.pending.discarded' }, 'success');
+        Analytics.trackEvent('Form', 'Queue Discarded', 'Contact Form');
+    },
+    
+    /**
+     * Put a queued submission back into the form (pending panel "edit")
+     * @param {string} queueId - Held queue item, removed once the edited form is sent or queued
+     */
+    restoreSubmission: function(submission, queueId) {
+        const form = document.getElementById('inquiryForm');
+        if (!form) return;
+        
+        this.editingId = queueId || null;
+        
+        ['name', 'email', 'phone', 'product', 'message'].forEach(field => {
+            form[field].value = submission[field] || '';
+        });
+        
+        // Queued numbers are in E.164: select their country
+        const phone = PhoneNumbers.parse(form.phone.value, submission.phoneCountry);
+        if (form.phoneCountry && phone.country) form.phoneCountry.value = phone.country;
+        
+        // Quote items go back into the cart with their quantity and notes
+        if (typeof QuoteCart !== 'undefined' && submission.items) {
+            submission.items.forEach(item => {
+                if (QuoteCart.has(item.id) || QuoteCart.add(item.id, item.quantity)) {
+                    QuoteCart.update(item.id, {
+                        quantity: item.quantity,
+                        notes: item.notes
+                    });
+                }
+            });
+            QuoteCart.render();
+        }
+        
+        this.clearFieldErrors(form);
+        this.showMessage({ key: 'contact.form.pending.editing' }, 'warning');
+        form.scrollIntoView({ behavior: 'smooth', block: 'start' });
+        form.name.focus();
+    },
+    
+    /**
+     * Remove the original of an edited submission now that the form was sent or queued
+     */
+    finishEditing: async function() {
+        if (!this.editingId) return;
+        
+        const id = this.editingId;
+        this.editingId = null;
+        try {
+            await InquiryQueue.remove(id);
+        } catch (error) {
+            console.error('[FormHandler] Could not remove the edited submission:', error);
+        }
+        await this.updatePendingCount();
+    },
+    
     /**
      * Set form loading state
      */
@@ -339,22 +602,62 @@ const FormHandler = {
         }
     },
     
+    /**
+     * Re-render texts set by script in the current language
+     */
+    refreshLanguage: function() {
+        // Country names come from Intl, not from the contact texts
+        const phoneCountry = document.getElementById('inquiryPhoneCountry');
+        if (phoneCountry) this.renderPhoneCountries(phoneCountry);
+        
+        if (!i18n.isKeyLoaded('contact.form.submit')) return;
+        
+        // The button keeps showing "sending" while a submission is in flight
+        const form = document.getElementById('inquiryForm');
+        const button = form && form.querySelector('.form-submit');
+        if (button) {
+            button.textContent = i18n.t(form.classList.contains('loading') ? 'contact.form.submitting' : 'contact.form.submit');
+        }
+        
+        const messageDiv = document.getElementById('formMessage');
+        if (messageDiv && this.visibleMessage) {
+            messageDiv.textContent = i18n.t(this.visibleMessage.key, this.visibleMessage.params);
+        }
+        
+        if (form) {
+            Object.keys(this.fieldErrors).forEach(field => this.setFieldError(form, field, this.fieldErrors[field]));
+            this.updateErrorSummary(form);
+        }
+        
+        this.updateOfflineBadge();
+        if (typeof PendingSubmissions !== 'undefined') PendingSubmissions.refreshLanguage();
+    },
+    
     /**
      * Show form message
+     * @param {Object} message - { key, params } translation, re-translated on language change
+     * @param {string} type - success, warning or error
      */
     showMessage: function(message, type) {
         const messageDiv = document.getElementById('formMessage');
         if (!messageDiv) return;
         
-        messageDiv.textContent = message;
+        this.visibleMessage = message;
+        messageDiv.textContent = i18n.t(message.key, message.params);
         messageDiv.className = `form-message ${type}`;
         messageDiv.style.display = 'block';
         messageDiv.setAttribute('role', 'alert');
         
         // Auto-hide after 7 seconds
-        setTimeout(() => {
-            messageDiv.style.display = 'none';
-        }, 7000);
+        clearTimeout(this.messageTimer);
+        this.messageTimer = setTimeout(() => this.hideMessage(), 7000);
+    },
+    
+    hideMessage: function() {
+        const messageDiv = document.getElementById('formMessage');
+        clearTimeout(this.messageTimer);
+        this.visibleMessage = null;
+        if (messageDiv) messageDiv.style.display = 'none';
     }
 };
 
@@ -0,0 +1,115 @@
+/**
+ * Inquiry Form Validation Rules for Vu Anh Website
+ * Shared by FormHandler (browser) and the inquiry service (server/inquiry-server.js);
+ * errors are translation keys so each side can word them in the visitor's language
+ * Spam is scored, not rejected: see spam-guard.js
+ */
+
+const FormValidation = {
+    limits: {
+        nameMin: 2,
+        nameMax: 100,
+        emailMax: 254,
+        messageMin: 10,
+        messageMax: 5000
+    },
+
+    /**
+     * SecurityUtils is a global in the browser and a module in Node
+     */
+    getSecurityUtils: function() {
+        if (typeof SecurityUtils !== 'undefined') return SecurityUtils;
+        return require('./security-utils.js').SecurityUtils;
+    },
+
+    getPhoneNumbers: function() {
+        if (typeof PhoneNumbers !== 'undefined') return PhoneNumbers;
+        return require('./phone-numbers.js');
+    },
+
+    // Checked fields, in form order (the first invalid one gets focus)
+    fields: ['name', 'email', 'phone', 'message'],
+
+    /**
+     * Rule per field: (value, data) → { key, params } translation of the error, or null when valid
+     */
+    rules: {
+        name: function(value) {
+            const limits = FormValidation.limits;
+            if (value.length < limits.nameMin) {
+                return { key: 'contact.form.errorNameShort', params: { min: limits.nameMin } };
+            }
+            if (value.length > limits.nameMax) {
+                return { key: 'contact.form.errorNameLength', params: { max: limits.nameMax } };
+            }
+            return null;
+        },
+
+        email: function(value) {
+            if (!value) return { key: 'contact.form.errorEmailRequired' };
+            if (value.length > FormValidation.limits.emailMax) return { key: 'contact.form.errorEmailLength' };
+            if (!FormValidation.getSecurityUtils().validateEmail(value)) return { key: 'contact.form.errorEmail' };
+            return null;
+        },
+
+        // Checked for the selected country (data.phoneCountry), see phone-numbers.js
+        phone: function(value, data) {
+            if (!value) return null;
+
+            const phoneNumbers = FormValidation.getPhoneNumbers();
+            const parsed = phoneNumbers.parse(value, data.phoneCountry);
+            if (parsed.valid && FormValidation.getSecurityUtils().validatePhone(value)) return null;
+            if (parsed.error === 'country') {
+                const country = phoneNumbers.getCountry(parsed.country);
+                return { key: 'contact.form.errorPhoneCountry', params: { country: country.code, example: country.example } };
+            }
+            return { key: 'contact.form.errorPhone' };
+        },
+
+        message: function(value) {
+            const limits = FormValidation.limits;
+            if (value.length < limits.messageMin) return { key: 'contact.form.errorMessage' };
+            if (value.length > limits.messageMax) {
+                return { key: 'contact.form.errorMessageLength', params: { max: limits.messageMax } };
+            }
+            return null;
+        }
+    },
+
+    /**
+     * Validate one field (live validation on blur/input)
+     * @returns {Object|null} { key, params } or null when valid
+     */
+    validateField: function(field, data) {
+        const rule = this.rules[field];
+        return rule ? rule(String(data[field] || ''), data) : null;
+    },
+
+    /**
+     * Validate inquiry fields (strings: name, email, phone, message; phoneCountry optional)
+     * @returns {Object} { valid, errors: field → { key, params }, fields (invalid, in form order),
+     *                     message: { key, params } one-line summary (the error itself when only one field is invalid) }
+     */
+    validate: function(data) {
+        const errors = {};
+        this.fields.forEach(field => {
+            const error = this.validateField(field, data);
+            if (error) errors[field] = error;
+        });
+
+        const fields = Object.keys(errors);
+        if (fields.length === 0) {
+            return { valid: true, errors, fields, message: null };
+        }
+
+        const message = fields.length === 1
+            ? errors[fields[0]]
+            : { key: 'contact.form.errorSummary', params: { count: fields.length } };
+        return { valid: false, errors, fields, message };
+    }
+};
+
+// Export for use in other scripts
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = FormValidation;
+}
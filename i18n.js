@@ -6,41 +6,110 @@
 const i18n = {
     currentLang: 'en',
     translations: {},
+    bundles: {},
     defaultLang: 'en',
-    supportedLangs: ['en', 'vi', 'cn'],
+    
+    /**
+     * Locale registry - one entry per supported language (add a locale here and an i18n/<code>.json file)
+     * code: URL path and file name, tag: BCP-47 tag (html lang, hreflang, Intl), name: English name (JSON-LD),
+     * nativeName: switcher label, label: short button text, dir: text direction, ogLocale: Open Graph locale,
+     * match: browser language prefixes, fonts: extra Google Fonts families for the script
+     */
+    locales: {
+        en: { code: 'en', tag: 'en', name: 'English', nativeName: 'English', label: 'EN', dir: 'ltr', ogLocale: 'en_US', match: ['en'], fonts: [] },
+        vi: { code: 'vi', tag: 'vi', name: 'Vietnamese', nativeName: 'Tiếng Việt', label: 'VI', dir: 'ltr', ogLocale: 'vi_VN', match: ['vi'], fonts: [] },
+        cn: { code: 'cn', tag: 'zh-CN', name: 'Chinese', nativeName: '中文', label: 'CN', dir: 'ltr', ogLocale: 'zh_CN', match: ['zh'], fonts: ['Noto Sans SC'] },
+        ko: { code: 'ko', tag: 'ko', name: 'Korean', nativeName: '한국어', label: 'KO', dir: 'ltr', ogLocale: 'ko_KR', match: ['ko'], fonts: ['Noto Sans KR'] },
+        ja: { code: 'ja', tag: 'ja', name: 'Japanese', nativeName: '日本語', label: 'JA', dir: 'ltr', ogLocale: 'ja_JP', match: ['ja'], fonts: ['Noto Sans JP'] }
+    },
+    
+    // Language switcher shows buttons up to this many locales, a dropdown above
+    switcherMaxButtons: 3,
+    
+    /**
+     * Codes of the registered locales
+     */
+    get supportedLangs() {
+        return Object.keys(this.locales);
+    },
+    
+    /**
+     * Bundle sections loaded on demand (built by scripts/build-i18n.js)
+     * keys: top-level translation keys of the section (all other keys are in 'core')
+     * near: elements that load the section when they come close to the viewport
+     */
+    bundleSections: {
+        products: { keys: ['products'], near: ['#products'] },
+        contact: { keys: ['contact'], near: ['#contact'] }
+    },
+    bundleBase: '/i18n/bundles',
+    bundleCache: 'vuanh-i18n',
+    manifest: null,
+    loadedSections: {},
+    neededSections: new Set(),
+    pendingLoads: new Map(),
+    
+    changeListeners: [],
+    
+    debug: false,
+    reportedFallbacks: new Set(),
+    parsedMessages: new Map(),
     
     /**
      * Initialize i18n system
      */
     init: async function() {
+        // Dev mode: ?i18n-debug=1 or localStorage 'i18n-debug' marks fallback strings
+        this.debug = this.isDebugEnabled();
+        
         // Detect user language preference
         this.currentLang = this.detectLanguage();
         
+        // Keep the address bar on the language's own path (/vi/, /cn/)
+        this.replaceLanguageUrl();
+        
         // Load translation file
         await this.loadTranslations(this.currentLang);
         
+        this.initLanguageSwitcher();
+        
+        // Load product/contact texts when their part of the page comes near
+        this.observeSections();
+        
+        // Back/forward across language URLs switches the language
+        window.addEventListener('popstate', () => this.handlePopState());
+        
         // Apply translations to page
         this.applyTranslations();
         
         // Update language buttons
         this.updateLanguageButtons();
         
+        // Let the service worker localize its offline page
+        this.syncServiceWorkerLanguage();
+        
         console.log(`✅ i18n initialized with language: ${this.currentLang}`);
     },
     
     /**
      * Detect user's preferred language
-     * Priority: 1. URL param 2. localStorage 3. Browser language 4. Default
+     * Priority: 1. Path prefix (/vi/) 2. URL param 3. localStorage 4. Browser language 5. Default
      */
     detectLanguage: function() {
-        // 1. Check URL parameter (?lang=vi)
+        // 1. Check path prefix (/vi/, /cn/ - prerendered pages)
+        const pathLang = this.getLangFromPath(window.location.pathname);
+        if (pathLang) {
+            return pathLang;
+        }
+        
+        // 2. Check URL parameter (?lang=vi)
         const urlParams = new URLSearchParams(window.location.search);
         const urlLang = urlParams.get('lang');
         if (urlLang && this.supportedLangs.includes(urlLang)) {
             return urlLang;
         }
         
-        // 2. Check localStorage
+        // 3. Check localStorage
         try {
             const savedLang = localStorage.getItem('preferred-language');
             if (savedLang && this.supportedLangs.includes(savedLang)) {
@@ -50,25 +119,373 @@ const i18n = {
             console.warn('localStorage not available');
         }
         
-        // 3. Check browser language
-        const browserLang = navigator.language || navigator.userLanguage;
-        if (browserLang.startsWith('vi')) return 'vi';
-        if (browserLang.startsWith('zh')) return 'cn';
+        // 4. Check browser languages (in order of preference)
+        const browserLangs = navigator.languages && navigator.languages.length
+            ? navigator.languages
+            : [navigator.language || navigator.userLanguage || ''];
+        for (const browserLang of browserLangs) {
+            const lang = this.matchLocale(browserLang);
+            if (lang) return lang;
+        }
         
-        // 4. Default language
+        // 5. Default language
         return this.defaultLang;
     },
     
     /**
-     * Load translation JSON file
+     * Register (or replace) a locale at runtime
+     * @param {Object} locale - Registry entry; only code is required
      */
-    loadTranslations: async function(lang) {
+    registerLocale: function(locale) {
+        this.locales[locale.code] = Object.assign({
+            tag: locale.code,
+            name: locale.code,
+            nativeName: locale.code,
+            label: locale.code.toUpperCase(),
+            dir: 'ltr',
+            ogLocale: locale.code,
+            match: [locale.code],
+            fonts: []
+        }, locale);
+    },
+    
+    /**
+     * Registry entry of a language (default language for unknown codes)
+     */
+    getLocale: function(lang = this.currentLang) {
+        return this.locales[lang] || this.locales[this.defaultLang];
+    },
+    
+    /**
+     * Locale code for a browser language tag ('ko-KR' → 'ko', 'zh-TW' → 'cn'); null when unsupported
+     */
+    matchLocale: function(languageTag) {
+        const tag = String(languageTag || '').toLowerCase();
+        if (!tag) return null;
+        
+        return this.supportedLangs.find(lang =>
+            this.locales[lang].match.some(prefix => tag === prefix || tag.startsWith(`${prefix}-`))) || null;
+    },
+    
+    /**
+     * Language from a path prefix ('/vi/...' → 'vi'); null for the default language
+     */
+    getLangFromPath: function(pathname) {
+        const match = /^\/([a-z]{2})(?:\/|$)/.exec(pathname || '');
+        if (match && match[1] !== this.defaultLang && this.supportedLangs.includes(match[1])) {
+            return match[1];
+        }
+        return null;
+    },
+    
+    /**
+     * Path of a page in another language ('/vi/' ↔ '/', '/vi/index.html' ↔ '/index.html')
+     */
+    getLanguagePath: function(lang, pathname = '/') {
+        const rest = this.getLangFromPath(pathname)
+            ? pathname.replace(/^\/[a-z]{2}(?:\/|$)/, '')
+            : pathname.replace(/^\//, '');
+        return lang === this.defaultLang ? `/${rest}` : `/${lang}/${rest}`;
+    },
+    
+    /**
+     * Current URL moved to a language's path (query and hash kept, ?lang= dropped)
+     */
+    getLanguageUrl: function(lang = this.currentLang) {
+        const url = new URL(window.location);
+        url.pathname = this.getLanguagePath(lang, url.pathname);
+        url.searchParams.delete('lang');
+        return url;
+    },
+    
+    /**
+     * Replace the URL when it doesn't match the detected language
+     * (e.g. legacy ?lang=vi links or a saved preference on '/')
+     */
+    replaceLanguageUrl: function() {
+        const url = this.getLanguageUrl();
+        if (url.href !== window.location.href && window.history.replaceState) {
+            window.history.replaceState(window.history.state, '', url);
+        }
+    },
+    
+    /**
+     * Check whether fallback marking (dev mode) is switched on
+     */
+    isDebugEnabled: function() {
+        const urlParams = new URLSearchParams(window.location.search);
+        if (urlParams.has('i18n-debug')) {
+            return urlParams.get('i18n-debug') !== '0';
+        }
         try {
-            const response = await fetch(`i18n/${lang}.json`);
-            if (!response.ok) {
-                throw new Error(`Failed to load ${lang}.json`);
+            return localStorage.getItem('i18n-debug') === '1';
+        } catch (e) {
+            return false;
+        }
+    },
+    
+    /**
+     * Turn dev mode on/off (persisted) and re-apply translations
+     */
+    setDebug: function(enabled) {
+        this.debug = !!enabled;
+        try {
+            if (this.debug) {
+                localStorage.setItem('i18n-debug', '1');
+            } else {
+                localStorage.removeItem('i18n-debug');
             }
-            this.translations = await response.json();
+        } catch (e) {
+            console.warn('Could not save i18n debug setting');
+        }
+        this.applyTranslations();
+    },
+    
+    /**
+     * Section of a translation key ('products.detail.overview' → 'products', 'nav.home' → 'core')
+     */
+    getSection: function(keyPath) {
+        const top = String(keyPath).split('.')[0];
+        return Object.keys(this.bundleSections).find(section =>
+            this.bundleSections[section].keys.includes(top)) || 'core';
+    },
+    
+    /**
+     * Whether a section of a language is in memory
+     * (bundles set directly, e.g. by scripts/prerender.js, count as complete)
+     */
+    isSectionLoaded: function(lang, section) {
+        const loaded = this.loadedSections[lang];
+        return loaded ? loaded.has(section) : Boolean(this.bundles[lang]);
+    },
+    
+    /**
+     * Load the bundle manifest (content hash per language and section)
+     * Falls back to the last cached manifest offline; false when bundles aren't built
+     */
+    loadManifest: function() {
+        if (this.manifest !== null) return Promise.resolve(this.manifest);
+        if (this.pendingLoads.has('manifest')) return this.pendingLoads.get('manifest');
+        
+        const url = `${this.bundleBase}/manifest.json`;
+        const load = (async () => {
+            try {
+                const response = await fetch(url, { cache: 'no-cache' });
+                if (!response.ok) {
+                    throw new Error(`Failed to load ${url}`);
+                }
+                this.manifest = await response.json();
+                this.writeCache(url, this.manifest);
+            } catch (error) {
+                this.manifest = (await this.readCache(url)) || false;
+                if (!this.manifest) {
+                    console.warn('Translation bundles not available, loading full language files');
+                }
+            }
+            return this.manifest;
+        })();
+        
+        this.pendingLoads.set('manifest', load);
+        return load.finally(() => this.pendingLoads.delete('manifest'));
+    },
+    
+    /**
+     * Read a JSON response from the bundle cache (null when missing or unsupported)
+     */
+    readCache: async function(url) {
+        if (typeof caches === 'undefined') return null;
+        
+        try {
+            const cache = await caches.open(this.bundleCache);
+            const response = await cache.match(url);
+            return response ? await response.json() : null;
+        } catch (error) {
+            return null;
+        }
+    },
+    
+    /**
+     * Store JSON in the bundle cache; older versions of the same file are removed
+     */
+    writeCache: async function(url, data) {
+        if (typeof caches === 'undefined') return;
+        
+        try {
+            const cache = await caches.open(this.bundleCache);
+            const path = url.split('?')[0];
+            const requests = await cache.keys();
+            await Promise.all(requests
+                .filter(request => new URL(request.url).pathname === path && !request.url.endsWith(url))
+                .map(request => cache.delete(request)));
+            
+            await cache.put(url, new Response(JSON.stringify(data), {
+                headers: { 'Content-Type': 'application/json' }
+            }));
+        } catch (error) {
+            console.warn('Could not cache translations:', error);
+        }
+    },
+    
+    /**
+     * Fetch one section bundle: Cache Storage first (URL versioned by content hash), then network
+     */
+    fetchSection: async function(lang, section) {
+        const version = this.manifest.bundles[lang] && this.manifest.bundles[lang][section];
+        if (!version) {
+            throw new Error(`No ${section} bundle for ${lang}`);
+        }
+        
+        const url = `${this.bundleBase}/${lang}/${section}.json?v=${version}`;
+        const cached = await this.readCache(url);
+        if (cached) return cached;
+        
+        const response = await fetch(url);
+        if (!response.ok) {
+            throw new Error(`Failed to load ${lang}/${section}.json`);
+        }
+        const data = await response.json();
+        this.writeCache(url, data);
+        return data;
+    },
+    
+    /**
+     * Load a section of a language into memory (once; concurrent calls share the request)
+     * Without built bundles the full i18n/<lang>.json is loaded instead
+     */
+    loadSection: function(lang, section) {
+        if (this.isSectionLoaded(lang, section) && this.loadedSections[lang]) {
+            return Promise.resolve(this.bundles[lang]);
+        }
+        
+        const id = `${lang}:${section}`;
+        if (this.pendingLoads.has(id)) return this.pendingLoads.get(id);
+        
+        const load = (async () => {
+            const manifest = await this.loadManifest();
+            const sections = manifest ? [section] : ['core', ...Object.keys(this.bundleSections)];
+            const data = manifest ? await this.fetchSection(lang, section) : await this.fetchBundle(lang);
+            
+            this.bundles[lang] = Object.assign({}, this.bundles[lang], data);
+            this.loadedSections[lang] = this.loadedSections[lang] || new Set();
+            sections.forEach(name => this.loadedSections[lang].add(name));
+            
+            if (lang === this.currentLang) {
+                this.translations = this.bundles[lang];
+            }
+            return this.bundles[lang];
+        })();
+        
+        this.pendingLoads.set(id, load);
+        return load.finally(() => this.pendingLoads.delete(id));
+    },
+    
+    /**
+     * Sections loaded with every language: core plus those already needed on the page
+     */
+    getActiveSections: function() {
+        return ['core', ...this.neededSections];
+    },
+    
+    /**
+     * Load a section for the current language (and the default as fallback)
+     * Re-applies translations and fires 'i18n:sectionload' on document when new texts arrived
+     */
+    requireSection: function(section) {
+        if (section === 'core') return Promise.resolve();
+        
+        this.neededSections.add(section);
+        const lang = this.currentLang;
+        const langs = lang === this.defaultLang ? [lang] : [lang, this.defaultLang];
+        if (langs.every(code => this.isSectionLoaded(code, section))) {
+            return Promise.resolve();
+        }
+        
+        return Promise.all(langs.map(code => this.loadSection(code, section).catch(error => {
+            console.warn(`Could not load ${section} texts for ${code}:`, error);
+        }))).then(() => {
+            if (lang !== this.currentLang) return;
+            this.applyTranslations();
+            document.dispatchEvent(new CustomEvent('i18n:sectionload', { detail: { section, lang } }));
+        });
+    },
+    
+    /**
+     * Load each section when one of its elements comes near the viewport
+     */
+    observeSections: function() {
+        const sections = Object.keys(this.bundleSections);
+        
+        if (!('IntersectionObserver' in window)) {
+            sections.forEach(section => this.requireSection(section));
+            return;
+        }
+        
+        const targets = new Map();
+        const observer = new IntersectionObserver(entries => {
+            entries.forEach(entry => {
+                if (!entry.isIntersecting || !targets.has(entry.target)) return;
+                
+                const section = targets.get(entry.target);
+                targets.forEach((name, element) => {
+                    if (name === section) {
+                        observer.unobserve(element);
+                        targets.delete(element);
+                    }
+                });
+                this.requireSection(section);
+            });
+        }, { rootMargin: '600px 0px' });
+        
+        sections.forEach(section => {
+            this.bundleSections[section].near.forEach(selector => {
+                document.querySelectorAll(selector).forEach(element => {
+                    targets.set(element, section);
+                    observer.observe(element);
+                });
+            });
+        });
+    },
+    
+    /**
+     * Load a language in the background (e.g. while the pointer is over its button)
+     */
+    preloadLanguage: function(lang) {
+        if (!this.locales[lang] || lang === this.currentLang) return;
+        
+        this.getActiveSections().forEach(section => {
+            this.loadSection(lang, section).catch(() => {
+                // Loaded again (with error handling) on switch
+            });
+        });
+    },
+    
+    /**
+     * Fetch one full translation file (used when bundles aren't built)
+     */
+    fetchBundle: async function(lang) {
+        const response = await fetch(`/i18n/${lang}.json`);
+        if (!response.ok) {
+            throw new Error(`Failed to load ${lang}.json`);
+        }
+        return await response.json();
+    },
+    
+    /**
+     * Load the translations of a language (core and the sections needed so far)
+     * Bundles stay in memory; the default language stays loaded as per-key fallback
+     */
+    loadTranslations: async function(lang) {
+        try {
+            const sections = this.getActiveSections();
+            await Promise.all([
+                ...sections.map(section => this.loadSection(lang, section)),
+                ...(lang === this.defaultLang ? [] : sections.map(section =>
+                    this.loadSection(this.defaultLang, section).catch(error => {
+                        console.warn(`Could not load fallback ${this.defaultLang} texts:`, error);
+                    })))
+            ]);
+            
+            this.translations = this.bundles[lang];
             return true;
         } catch (error) {
             console.error('Error loading translations:', error);
@@ -83,31 +500,337 @@ const i18n = {
     },
     
     /**
-     * Get translation by key path (e.g., 'nav.home')
+     * Languages to try for a key: current language, then the default
      */
-    t: function(keyPath, params = {}) {
-        const keys = keyPath.split('.');
-        let value = this.translations;
+    getFallbackChain: function(lang = this.currentLang) {
+        return lang === this.defaultLang ? [lang] : [lang, this.defaultLang];
+    },
+    
+    /**
+     * Resolve a key path inside one bundle (undefined when missing)
+     */
+    resolve: function(bundle, keyPath) {
+        let value = bundle;
         
-        for (const key of keys) {
+        for (const key of keyPath.split('.')) {
             if (value && typeof value === 'object' && key in value) {
                 value = value[key];
             } else {
-                console.warn(`Translation key not found: ${keyPath}`);
+                return undefined;
+            }
+        }
+        
+        return value;
+    },
+    
+    /**
+     * Find a key along the fallback chain
+     * @returns {Object} - { value, lang } (lang is null when not found anywhere)
+     */
+    lookup: function(keyPath) {
+        for (const lang of this.getFallbackChain()) {
+            const value = this.resolve(this.bundles[lang], keyPath);
+            if (value !== undefined) {
+                if (lang !== this.currentLang) {
+                    this.reportFallback(keyPath, lang);
+                }
+                return { value, lang };
+            }
+        }
+        
+        return { value: undefined, lang: null };
+    },
+    
+    /**
+     * Warn once per key and language about a fallback string
+     */
+    reportFallback: function(keyPath, lang) {
+        const id = `${this.currentLang}:${keyPath}`;
+        if (this.reportedFallbacks.has(id)) return;
+        
+        this.reportedFallbacks.add(id);
+        console.warn(`Translation key missing in ${this.currentLang}, using ${lang}: ${keyPath}`);
+    },
+    
+    /**
+     * Get translation by key path (e.g., 'nav.home')
+     * Missing keys fall back to the default language before returning the key path
+     */
+    t: function(keyPath, params = {}) {
+        const { value, lang } = this.lookup(keyPath);
+        
+        if (value === undefined) {
+            // Section not loaded yet: fetch it ('i18n:sectionload' lets callers re-render)
+            const section = this.getSection(keyPath);
+            if (!this.isSectionLoaded(this.currentLang, section)) {
+                this.requireSection(section);
                 return keyPath;
             }
+            
+            console.warn(`Translation key not found: ${keyPath}`);
+            return keyPath;
         }
         
-        // Replace parameters like {time}
+        // Format parameters: {time}, {count, plural, ...}, {n, number}, {d, date, long}
         if (typeof value === 'string') {
-            return value.replace(/\{(\w+)\}/g, (match, param) => {
-                return params[param] !== undefined ? params[param] : match;
-            });
+            const text = this.formatMessage(value, params, lang);
+            
+            // Dev mode: make fallback strings visible in script-rendered content
+            return this.debug && lang !== this.currentLang ? `[${lang}] ${text}` : text;
         }
         
         return value;
     },
     
+    /**
+     * Format an ICU MessageFormat-style string
+     * Supports {arg}, {arg, number[, integer|percent]}, {arg, date|time[, short|medium|long|full]},
+     * {arg, region} (country name), {arg, plural, =0 {...} one {# item} other {# items}} and {arg, select, a {...} other {...}}
+     * @param {string} message - Message pattern
+     * @param {Object} params - Argument values
+     * @param {string} lang - Language of the message (plural rules and number/date formats)
+     */
+    formatMessage: function(message, params = {}, lang = this.currentLang) {
+        if (message.indexOf('{') === -1) return message;
+        
+        let parts = this.parsedMessages.get(message);
+        if (!parts) {
+            try {
+                parts = this.parseMessage(message);
+            } catch (error) {
+                console.warn(`Invalid message format "${message}": ${error.message}`);
+                return message;
+            }
+            this.parsedMessages.set(message, parts);
+        }
+        
+        return this.formatParts(parts, params, this.getLangCode(lang), null);
+    },
+    
+    /**
+     * Parse a message pattern into literal strings and argument nodes
+     * Throws on unbalanced braces
+     */
+    parseMessage: function(message) {
+        let pos = 0;
+        
+        const readUntil = (stops) => {
+            const start = pos;
+            while (pos < message.length && !stops.includes(message[pos])) pos++;
+            return message.slice(start, pos).trim();
+        };
+        
+        const expect = (char) => {
+            if (message[pos] !== char) {
+                throw new Error(`expected "${char}" at ${pos}`);
+            }
+            pos++;
+        };
+        
+        const skipSpaces = () => {
+            while (/\s/.test(message[pos] || '')) pos++;
+        };
+        
+        const parseParts = (nested) => {
+            const parts = [];
+            let literal = '';
+            
+            while (pos < message.length) {
+                const char = message[pos];
+                if (char === '{') {
+                    if (literal) parts.push(literal);
+                    literal = '';
+                    parts.push(parseArgument());
+                } else if (char === '}') {
+                    if (!nested) throw new Error(`unexpected "}" at ${pos}`);
+                    break;
+                } else if (char === '#' && nested === 'plural') {
+                    if (literal) parts.push(literal);
+                    literal = '';
+                    parts.push({ type: 'pound' });
+                    pos++;
+                } else {
+                    literal += char;
+                    pos++;
+                }
+            }
+            
+            if (nested && pos >= message.length) throw new Error('unclosed "{"');
+            if (literal) parts.push(literal);
+            return parts;
+        };
+        
+        const parseArgument = () => {
+            expect('{');
+            const name = readUntil([',', '}']);
+            if (!/^\w+$/.test(name)) throw new Error(`invalid argument name "${name}"`);
+            
+            if (message[pos] === '}') {
+                pos++;
+                return { type: 'argument', name };
+            }
+            
+            expect(',');
+            const format = readUntil([',', '}']);
+            
+            if (format === 'plural' || format === 'select') {
+                expect(',');
+                const options = {};
+                skipSpaces();
+                while (message[pos] !== '}') {
+                    const selector = readUntil(['{', '}']);
+                    if (!selector || message[pos] !== '{') throw new Error(`invalid ${format} option at ${pos}`);
+                    pos++;
+                    options[selector] = parseParts(format);
+                    expect('}');
+                    skipSpaces();
+                }
+                pos++;
+                if (!options.other) throw new Error(`${format} for "${name}" needs an "other" option`);
+                return { type: format, name, options };
+            }
+            
+            let style = '';
+            if (message[pos] === ',') {
+                pos++;
+                style = readUntil(['}']);
+            }
+            expect('}');
+            
+            if (!['number', 'date', 'time', 'region'].includes(format)) throw new Error(`unknown format "${format}"`);
+            return { type: format, name, style };
+        };
+        
+        return parseParts(null);
+    },
+    
+    /**
+     * Names of the arguments used by a message (for tooling and checks)
+     */
+    getMessageArguments: function(message) {
+        const names = new Set();
+        const walk = (parts) => parts.forEach(part => {
+            if (typeof part !== 'object' || part.type === 'pound') return;
+            names.add(part.name);
+            if (part.options) Object.values(part.options).forEach(walk);
+        });
+        walk(this.parseMessage(message));
+        return Array.from(names).sort();
+    },
+    
+    formatParts: function(parts, params, locale, pluralValue) {
+        return parts.map(part => {
+            if (typeof part === 'string') return part;
+            if (part.type === 'pound') return this.formatNumber(pluralValue, {}, locale);
+            
+            const value = params[part.name];
+            if (value === undefined) {
+                // Keep the placeholder visible, as before
+                return `{${part.name}}`;
+            }
+            
+            switch (part.type) {
+                case 'number':
+                    return this.formatNumber(value, this.getNumberStyle(part.style), locale);
+                case 'date':
+                case 'time':
+                    return this.formatDate(value, this.getDateStyle(part.type, part.style), locale);
+                case 'region':
+                    return this.formatRegion(value, locale);
+                case 'plural': {
+                    const number = Number(value);
+                    const exact = part.options[`=${number}`];
+                    const category = new Intl.PluralRules(locale).select(number);
+                    const option = exact || part.options[category] || part.options.other;
+                    return this.formatParts(option, params, locale, number);
+                }
+                case 'select': {
+                    const option = part.options[String(value)] || part.options.other;
+                    return this.formatParts(option, params, locale, pluralValue);
+                }
+                default:
+                    return String(value);
+            }
+        }).join('');
+    },
+    
+    getNumberStyle: function(style) {
+        if (style === 'integer') return { maximumFractionDigits: 0 };
+        if (style === 'percent') return { style: 'percent' };
+        return {};
+    },
+    
+    getDateStyle: function(type, style) {
+        const styles = ['short', 'medium', 'long', 'full'];
+        const value = styles.includes(style) ? style : 'medium';
+        return type === 'time' ? { timeStyle: value } : { dateStyle: value };
+    },
+    
+    /**
+     * Locale-aware number formatting (current language by default)
+     */
+    formatNumber: function(value, options = {}, locale = this.getLangCode()) {
+        try {
+            return new Intl.NumberFormat(locale, options).format(value);
+        } catch (e) {
+            return String(value);
+        }
+    },
+    
+    /**
+     * Locale-aware date/time formatting (current language by default)
+     * @param {Date|number|string} value - Date, timestamp or ISO string
+     */
+    formatDate: function(value, options = { dateStyle: 'medium' }, locale = this.getLangCode()) {
+        const date = value instanceof Date ? value : new Date(value);
+        if (isNaN(date.getTime())) return String(value);
+        
+        try {
+            return new Intl.DateTimeFormat(locale, options).format(date);
+        } catch (e) {
+            return date.toLocaleString();
+        }
+    },
+    
+    /**
+     * Localized country name from an ISO 3166 region code (e.g. VN → Việt Nam in Vietnamese)
+     */
+    formatRegion: function(code, locale = this.getLangCode()) {
+        try {
+            return new Intl.DisplayNames(locale, { type: 'region' }).of(code) || code;
+        } catch (e) {
+            return String(code);
+        }
+    },
+    
+    /**
+     * Dev mode: outline elements whose key came from the fallback language
+     */
+    markFallback: function(element, keyPath) {
+        if (!this.debug) {
+            element.classList.remove('i18n-fallback');
+            element.removeAttribute('data-i18n-fallback');
+            return;
+        }
+        
+        const { lang } = this.lookup(keyPath);
+        const isFallback = lang !== null && lang !== this.currentLang;
+        element.classList.toggle('i18n-fallback', isFallback || lang === null);
+        if (isFallback || lang === null) {
+            element.setAttribute('data-i18n-fallback', lang || 'missing');
+        } else {
+            element.removeAttribute('data-i18n-fallback');
+        }
+    },
+    
+    /**
+     * Whether the section of a key is loaded for the current language
+     * (elements of sections not loaded yet keep their prerendered text)
+     */
+    isKeyLoaded: function(keyPath) {
+        return this.isSectionLoaded(this.currentLang, this.getSection(keyPath));
+    },
+    
     /**
      * Apply translations to HTML elements with data-i18n attribute
      */
@@ -126,7 +849,9 @@ const i18n = {
         // Update elements with data-i18n attribute
         document.querySelectorAll('[data-i18n]').forEach(element => {
             const key = element.getAttribute('data-i18n');
+            if (!this.isKeyLoaded(key)) return;
             const translation = this.t(key);
+            this.markFallback(element, key);
         
             if (element.tagName === 'INPUT' || element.tagName === 'TEXTAREA') {
                 if (element.placeholder !== undefined) {
@@ -145,7 +870,9 @@ const i18n = {
         // Handle placeholder translations separately
         document.querySelectorAll('[data-i18n-placeholder]').forEach(element => {
             const key = element.getAttribute('data-i18n-placeholder');
+            if (!this.isKeyLoaded(key)) return;
             const translation = this.t(key);
+            this.markFallback(element, key);
             if (element.placeholder !== undefined) {
                 element.placeholder = translation;
             }
@@ -154,35 +881,75 @@ const i18n = {
         // Update elements with data-i18n-html (for HTML content)
         document.querySelectorAll('[data-i18n-html]').forEach(element => {
             const key = element.getAttribute('data-i18n-html');
-            element.innerHTML = this.t(key);
+            if (!this.isKeyLoaded(key)) return;
+            // Locale files are not trusted with arbitrary markup
+            if (typeof SecurityUtils !== 'undefined') {
+                element.innerHTML = SecurityUtils.sanitizeHTML(this.t(key), `i18n:${this.currentLang}:${key}`);
+            } else {
+                element.textContent = this.t(key);
+            }
+            this.markFallback(element, key);
         });
         
         // Update aria-label attributes
         document.querySelectorAll('[data-i18n-aria]').forEach(element => {
             const key = element.getAttribute('data-i18n-aria');
+            if (!this.isKeyLoaded(key)) return;
             element.setAttribute('aria-label', this.t(key));
         });
         
-        // Update document language attribute
-        document.documentElement.lang = this.getLangCode();
+        // Update document language, direction and fonts
+        this.applyLocale();
     },
     
     /**
-     * Get proper language code for html lang attribute
+     * Apply the locale's lang, dir and fonts to the document
      */
-    getLangCode: function() {
-        const langCodes = {
-            'en': 'en',
-            'vi': 'vi',
-            'cn': 'zh-CN'
-        };
-        return langCodes[this.currentLang] || 'en';
+    applyLocale: function(lang = this.currentLang) {
+        const locale = this.getLocale(lang);
+        const root = document.documentElement;
+        root.lang = locale.tag;
+        root.dir = locale.dir;
+        
+        if (locale.fonts.length === 0) {
+            root.style.removeProperty('--locale-font');
+            return;
+        }
+        
+        // Load each font once; enhancements.css puts --locale-font after Montserrat
+        locale.fonts.forEach(family => {
+            if (document.querySelector(`link[data-locale-font="${family}"]`)) return;
+            const link = document.createElement('link');
+            link.rel = 'stylesheet';
+            link.href = this.getFontUrl(family);
+            link.setAttribute('data-locale-font', family);
+            document.head.appendChild(link);
+        });
+        root.style.setProperty('--locale-font', locale.fonts.map(family => `'${family}'`).join(', '));
+    },
+    
+    /**
+     * Google Fonts stylesheet of a font family (same weights as Montserrat)
+     */
+    getFontUrl: function(family) {
+        return `https://fonts.googleapis.com/css2?family=${family.replace(/ /g, '+')}:wght@400;500;700&display=swap`;
+    },
+    
+    /**
+     * Get proper language code for html lang attribute (BCP-47 tag from the registry)
+     */
+    getLangCode: function(lang = this.currentLang) {
+        return this.getLocale(lang).tag;
     },
     
     /**
      * Switch to a different language
+     * @param {string} lang - Locale code
+     * @param {Object} options - source: 'switcher' or 'history' (history entries are not pushed again)
      */
-    switchLanguage: async function(lang) {
+    switchLanguage: async function(lang, options = {}) {
+        const source = options.source || 'switcher';
+        
         if (!this.supportedLangs.includes(lang)) {
             console.error(`Unsupported language: ${lang}`);
             return false;
@@ -197,6 +964,7 @@ const i18n = {
         if (!success) return false;
         
         // Update current language
+        const previousLang = this.currentLang;
         this.currentLang = lang;
         
         // Save preference
@@ -212,14 +980,83 @@ const i18n = {
         // Update language buttons
         this.updateLanguageButtons();
         
-        // Update URL without reload
-        const url = new URL(window.location);
-        url.searchParams.set('lang', lang);
-        window.history.pushState({}, '', url);
+        this.syncServiceWorkerLanguage();
+        
+        // Update URL without reload (/vi/, /cn/ or / for the default language)
+        if (source !== 'history') {
+            window.history.pushState({ lang }, '', this.getLanguageUrl(lang));
+        }
+        
+        this.notifyChange({ lang, previousLang, source });
         
         return true;
     },
     
+    /**
+     * Subscribe to language changes
+     * @param {Function} listener - Called with { lang, previousLang, source } after the page is translated
+     * @returns {Function} Unsubscribe function
+     */
+    onChange: function(listener) {
+        this.changeListeners.push(listener);
+        return () => {
+            this.changeListeners = this.changeListeners.filter(item => item !== listener);
+        };
+    },
+    
+    /**
+     * Run onChange listeners and fire 'languagechange' on document
+     */
+    notifyChange: function(detail) {
+        this.changeListeners.forEach(listener => {
+            try {
+                listener(detail);
+            } catch (error) {
+                console.error('Language change listener failed:', error);
+            }
+        });
+        document.dispatchEvent(new CustomEvent('languagechange', { detail }));
+    },
+    
+    /**
+     * Language of the current URL: path prefix, then ?lang=, then the default
+     */
+    getLangFromLocation: function() {
+        const pathLang = this.getLangFromPath(window.location.pathname);
+        if (pathLang) return pathLang;
+        
+        const urlLang = new URLSearchParams(window.location.search).get('lang');
+        return this.supportedLangs.includes(urlLang) ? urlLang : this.defaultLang;
+    },
+    
+    /**
+     * Follow the language of the history entry on back/forward
+     */
+    handlePopState: function() {
+        const lang = this.getLangFromLocation();
+        if (lang !== this.currentLang) {
+            this.switchLanguage(lang, { source: 'history' });
+        }
+    },
+    
+    /**
+     * Send the current language to the service worker (offline page)
+     */
+    syncServiceWorkerLanguage: function() {
+        if (!('serviceWorker' in navigator)) return;
+        
+        const lang = this.currentLang;
+        navigator.serviceWorker.ready
+            .then(registration => {
+                if (registration.active) {
+                    registration.active.postMessage({ type: 'SET_LANGUAGE', lang });
+                }
+            })
+            .catch(() => {
+                // Service worker not available (e.g. private mode)
+            });
+    },
+    
     /**
      * Update language button states
      */
@@ -233,6 +1070,62 @@ const i18n = {
                 btn.classList.remove('active');
                 btn.setAttribute('aria-pressed', 'false');
             }
+            if (this.locales[btnLang]) {
+                btn.setAttribute('aria-label', this.t('accessibility.switchLang', { lang: this.locales[btnLang].nativeName }));
+            }
+        });
+        
+        // Dropdown switcher: show the current language on the toggle
+        const toggle = document.querySelector('.lang-toggle');
+        if (toggle) {
+            const locale = this.getLocale();
+            toggle.querySelector('.lang-toggle-label').textContent = locale.label;
+            toggle.setAttribute('aria-label', `${this.t('accessibility.languageSelection')}: ${locale.nativeName}`);
+        }
+    },
+    
+    /**
+     * Preloading on hover and open/close behaviour of the dropdown switcher (rendered when there are more than switcherMaxButtons locales)
+     */
+    initLanguageSwitcher: function() {
+        // Preload a language while its button is hovered/focused, before the click
+        document.querySelectorAll('.lang-btn').forEach(btn => {
+            const preload = () => this.preloadLanguage(btn.getAttribute('data-lang'));
+            btn.addEventListener('mouseenter', preload);
+            btn.addEventListener('focus', preload);
+            btn.addEventListener('touchstart', preload, { passive: true });
+        });
+        
+        const toggle = document.querySelector('.lang-toggle');
+        const menu = document.getElementById('langMenu');
+        if (!toggle || !menu) return;
+        
+        const setOpen = (open) => {
+            menu.hidden = !open;
+            toggle.setAttribute('aria-expanded', open.toString());
+        };
+        
+        toggle.addEventListener('click', () => {
+            setOpen(menu.hidden);
+            if (!menu.hidden) {
+                const active = menu.querySelector('.lang-btn.active') || menu.querySelector('.lang-btn');
+                if (active) active.focus();
+            }
+        });
+        
+        menu.addEventListener('click', (e) => {
+            if (e.target.closest('.lang-btn')) setOpen(false);
+        });
+        
+        menu.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape') {
+                setOpen(false);
+                toggle.focus();
+            }
+        });
+        
+        document.addEventListener('click', (e) => {
+            if (!menu.hidden && !e.target.closest('.lang-switcher')) setOpen(false);
         });
     }
 };
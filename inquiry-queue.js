@@ -0,0 +1,437 @@
+/**
+ * Inquiry Queue for Vu Anh Website
+ * Offline submissions kept in IndexedDB, shared by the page (form-handler.js) and the service worker (sw.js).
+ * Failed sends are retried with exponential backoff; after maxAttempts an item stays 'failed' until removed.
+ * Submissions are encrypted at rest (AES-GCM, per-device non-extractable key stored next to them) and
+ * deleted once older than maxAge, which the page can set in
+ * <script type="application/json" id="inquiryQueue">{ "maxAgeDays": 7 }</script>
+ */
+
+const InquiryQueue = {
+    dbName: 'vuanh-inquiries',
+    dbVersion: 2,
+    storeName: 'queue',
+    keyStoreName: 'keys',
+    keyId: 'queue',
+
+    // Background Sync tag registered by the page and handled by sw.js
+    syncTag: 'sync-form-submissions',
+
+    maxAttempts: 8,
+    baseDelay: 60 * 1000,
+    maxDelay: 60 * 60 * 1000,
+
+    // Queued submissions older than this are deleted unsent (shared office PCs); default of #inquiryQueue maxAgeDays
+    maxAge: 7 * 24 * 60 * 60 * 1000,
+
+    // Pause between sends to avoid rate limiting
+    sendInterval: 1000,
+
+    // A sender (tab or worker) claims an item for this long so it is never sent twice at once
+    claimTimeout: 2 * 60 * 1000,
+
+    // An item moved back into the form is held (not sent) until the edited form is sent or queued;
+    // after this long an abandoned edit no longer keeps the original from being sent
+    editTimeout: 60 * 60 * 1000,
+
+    // localStorage key used before the queue moved to IndexedDB
+    legacyKey: 'vuanh_pending_submissions',
+
+    config: null,
+    dbPromise: null,
+    keyPromise: null,
+
+    /**
+     * Settings of the page (#inquiryQueue) over the defaults, read once → { maxAge }
+     * The service worker has no page: every item carries the maxAge and expiresAt it was queued with
+     */
+    getConfig: function() {
+        if (this.config) return this.config;
+
+        const config = { maxAge: this.maxAge };
+        const element = typeof document !== 'undefined' && document.getElementById('inquiryQueue');
+        if (element) {
+            try {
+                const days = JSON.parse(element.textContent).maxAgeDays;
+                if (typeof days === 'number' && days > 0) {
+                    config.maxAge = days * 24 * 60 * 60 * 1000;
+                } else if (days !== undefined) {
+                    console.error('[InquiryQueue] Invalid maxAgeDays:', days);
+                }
+            } catch (error) {
+                console.error('[InquiryQueue] Invalid configuration:', error);
+            }
+        }
+        this.config = config;
+        return config;
+    },
+
+    /**
+     * Open (and create) the database once per context
+     */
+    open: function() {
+        if (this.dbPromise) return this.dbPromise;
+
+        this.dbPromise = new Promise((resolve, reject) => {
+            const request = indexedDB.open(this.dbName, this.dbVersion);
+            request.onupgradeneeded = (event) => {
+                if (event.oldVersion < 1) {
+                    const store = request.result.createObjectStore(this.storeName, { keyPath: 'id' });
+                    store.createIndex('createdAt', 'createdAt');
+                }
+                if (event.oldVersion < 2) {
+                    request.result.createObjectStore(this.keyStoreName);
+                }
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+        this.dbPromise.catch(() => {
+            this.dbPromise = null;
+        });
+        return this.dbPromise;
+    },
+
+    /**
+     * Run work(store) in one transaction; resolves with its result once the transaction commits
+     */
+    transaction: async function(mode, work, storeName = this.storeName) {
+        const db = await this.open();
+        return new Promise((resolve, reject) => {
+            const tx = db.transaction(storeName, mode);
+            let result;
+            Promise.resolve(work(tx.objectStore(storeName))).then(value => {
+                result = value;
+            }, reject);
+            tx.oncomplete = () => resolve(result);
+            tx.onerror = () => reject(tx.error);
+            tx.onabort = () => reject(tx.error);
+        });
+    },
+
+    request: function(request) {
+        return new Promise((resolve, reject) => {
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    },
+
+    /**
+     * Device key for the queue, created on first use
+     * Non-extractable: scripts can use it through WebCrypto on this origin but never read it out
+     */
+    getKey: function() {
+        if (this.keyPromise) return this.keyPromise;
+
+        const read = () => this.transaction('readonly', store => this.request(store.get(this.keyId)), this.keyStoreName);
+        this.keyPromise = (async () => {
+            const stored = await read();
+            if (stored) return stored;
+
+            const key = await crypto.subtle.generateKey({ name: 'AES-GCM', length: 256 }, false, ['encrypt', 'decrypt']);
+            try {
+                await this.transaction('readwrite', store => {
+                    store.add(key, this.keyId);
+                }, this.keyStoreName);
+                return key;
+            } catch (error) {
+                // The page and the worker created one at the same time: use the one stored first
+                if (error && error.name === 'ConstraintError') return read();
+                throw error;
+            }
+        })();
+        this.keyPromise.catch(() => {
+            this.keyPromise = null;
+        });
+        return this.keyPromise;
+    },
+
+    /**
+     * Encrypt a value (JSON) → { iv, data }
+     */
+    encrypt: async function(value) {
+        const iv = crypto.getRandomValues(new Uint8Array(12));
+        const data = await crypto.subtle.encrypt(
+            { name: 'AES-GCM', iv },
+            await this.getKey(),
+            new TextEncoder().encode(JSON.stringify(value))
+        );
+        return { iv, data };
+    },
+
+    /**
+     * Decrypt the payload of an item → { submission, transports }
+     * Items queued by the first IndexedDB version are still plain text
+     */
+    decrypt: async function(item) {
+        if (item.submission) return { submission: item.submission, transports: item.transports };
+
+        const data = await crypto.subtle.decrypt({ name: 'AES-GCM', iv: item.iv }, await this.getKey(), item.data);
+        return JSON.parse(new TextDecoder().decode(data));
+    },
+
+    /**
+     * Queue a submission with the transports to use (the worker has no page to read them from)
+     * Only the id (idempotency key) and the retry state are stored unencrypted
+     * @param {Object} submission - FormHandler submission
+     * @param {Array} transports - InquiryTransports configuration
+     */
+    add: async function(submission, transports) {
+        const now = Date.now();
+        const maxAge = this.getConfig().maxAge;
+        const item = {
+            id: submission.idempotencyKey,
+            status: 'pending',
+            attempts: 0,
+            createdAt: now,
+            maxAge,
+            expiresAt: now + maxAge,
+            nextAttemptAt: now,
+            claimedUntil: 0,
+            heldUntil: 0,
+            lastError: null,
+            ...await this.encrypt({ submission, transports })
+        };
+        return this.transaction('readwrite', store => {
+            store.put(item);
+            return item;
+        });
+    },
+
+    /**
+     * All items, oldest first
+     */
+    list: function() {
+        return this.transaction('readonly', store => this.request(store.index('createdAt').getAll()));
+    },
+
+    /**
+     * Items with their decrypted submission, oldest first (unreadable items are left out)
+     */
+    getEntries: async function() {
+        const entries = [];
+        for (const item of await this.list()) {
+            try {
+                const { submission } = await this.decrypt(item);
+                const { iv, data, transports, ...state } = item;
+                entries.push({ ...state, submission });
+            } catch (error) {
+                console.warn('[InquiryQueue] Could not decrypt:', error.message);
+            }
+        }
+        return entries;
+    },
+
+    count: function() {
+        return this.transaction('readonly', store => this.request(store.count()));
+    },
+
+    remove: function(id) {
+        return this.transaction('readwrite', store => {
+            store.delete(id);
+        });
+    },
+
+    /**
+     * Discard every queued submission
+     */
+    clear: function() {
+        return this.transaction('readwrite', store => {
+            store.clear();
+        });
+    },
+
+    /**
+     * Delete submissions older than maxAge → number deleted
+     */
+    purgeExpired: function() {
+        return this.transaction('readwrite', async store => {
+            const now = Date.now();
+            const items = await this.request(store.getAll());
+            const expired = items.filter(item => (item.expiresAt || item.createdAt + (item.maxAge || this.getConfig().maxAge)) <= now);
+            expired.forEach(item => store.delete(item.id));
+            return expired.length;
+        });
+    },
+
+    /**
+     * Wait before the next attempt: baseDelay doubled per failed attempt, capped at maxDelay
+     */
+    getDelay: function(attempts) {
+        return Math.min(this.baseDelay * Math.pow(2, attempts - 1), this.maxDelay);
+    },
+
+    /**
+     * Make an item due now; a failed item gets a fresh set of attempts, a held one is released
+     */
+    retryNow: function(id) {
+        return this.transaction('readwrite', async store => {
+            const item = await this.request(store.get(id));
+            if (!item) return null;
+
+            if (item.status === 'failed') {
+                item.status = 'pending';
+                item.attempts = 0;
+            }
+            item.heldUntil = 0;
+            item.nextAttemptAt = Date.now();
+            store.put(item);
+            return item;
+        });
+    },
+
+    /**
+     * Hold an item while the visitor edits it in the form (pending panel "edit") → the item, or null
+     */
+    hold: function(id) {
+        return this.transaction('readwrite', async store => {
+            const item = await this.request(store.get(id));
+            if (!item) return null;
+
+            item.heldUntil = Date.now() + this.editTimeout;
+            store.put(item);
+            return item;
+        });
+    },
+
+    /**
+     * Claim a due item for sending → the item, or null when it is not due, held or another sender has it
+     */
+    claim: function(id) {
+        return this.transaction('readwrite', async store => {
+            const item = await this.request(store.get(id));
+            const now = Date.now();
+            if (!item || item.status !== 'pending' || item.nextAttemptAt > now || item.claimedUntil > now ||
+                item.heldUntil > now || item.expiresAt <= now) {
+                return null;
+            }
+            item.claimedUntil = now + this.claimTimeout;
+            store.put(item);
+            return item;
+        });
+    },
+
+    /**
+     * Count a failed attempt: schedule the next one, or mark the item failed after maxAttempts
+     * (at once when the receiver refused the submission, error.permanent from inquiry-transports.js)
+     */
+    recordFailure: function(id, error) {
+        return this.transaction('readwrite', async store => {
+            const item = await this.request(store.get(id));
+            if (!item) return null;
+
+            item.attempts += 1;
+            item.claimedUntil = 0;
+            item.lastError = error ? String(error.message || error) : null;
+            if (item.attempts >= this.maxAttempts || (error && error.permanent)) {
+                item.status = 'failed';
+            } else {
+                item.nextAttemptAt = Date.now() + this.getDelay(item.attempts);
+            }
+            store.put(item);
+            return item;
+        });
+    },
+
+    /**
+     * Send every due item once
+     * @param {Function} send - (submission, transports) → Promise<{ delivered }>
+     * @param {Function} onProgress - optional, ({ id, status: 'sending' | 'sent' | 'retry' | 'failed' })
+     * @returns {Promise<Object>} { sent, failed (given up in this run), pending, nextAttemptAt }
+     */
+    flush: async function(send, onProgress = () => {}) {
+        const summary = { sent: 0, failed: 0, pending: 0, nextAttemptAt: null };
+        await this.purgeExpired();
+
+        for (const { id } of await this.list()) {
+            const item = await this.claim(id);
+            if (!item) continue;
+
+            if (summary.sent > 0) {
+                await new Promise(resolve => setTimeout(resolve, this.sendInterval));
+            }
+
+            let payload;
+            try {
+                payload = await this.decrypt(item);
+            } catch (error) {
+                // Key lost (site data partly cleared): the submission can never be read again
+                console.warn('[InquiryQueue] Could not decrypt, discarding:', error.message);
+                await this.remove(id);
+                continue;
+            }
+
+            onProgress({ id, status: 'sending' });
+            try {
+                const result = await send(payload.submission, payload.transports);
+                if (!result.delivered) throw new Error('Not delivered');
+                await this.remove(id);
+                summary.sent++;
+                onProgress({ id, status: 'sent' });
+            } catch (error) {
+                console.warn('[InquiryQueue] Attempt failed:', error.message);
+                const updated = await this.recordFailure(id, error);
+                if (updated && updated.status === 'failed') summary.failed++;
+                if (updated) onProgress({ id, status: updated.status === 'failed' ? 'failed' : 'retry' });
+            }
+        }
+
+        (await this.list()).filter(item => item.status === 'pending').forEach(item => {
+            summary.pending++;
+            if (summary.nextAttemptAt === null || item.nextAttemptAt < summary.nextAttemptAt) {
+                summary.nextAttemptAt = item.nextAttemptAt;
+            }
+        });
+        return summary;
+    },
+
+    /**
+     * Encrypt submissions saved unencrypted by earlier versions: localStorage (page only) and IndexedDB v1
+     */
+    migrateLegacy: async function(transports) {
+        const plain = (await this.list()).filter(item => item.submission);
+        for (const item of plain) {
+            const { submission, transports: itemTransports, ...state } = item;
+            const maxAge = this.getConfig().maxAge;
+            const encrypted = {
+                maxAge,
+                expiresAt: item.createdAt + maxAge,
+                ...state,
+                ...await this.encrypt({ submission, transports: itemTransports })
+            };
+            await this.transaction('readwrite', store => {
+                store.put(encrypted);
+            });
+        }
+
+        if (typeof localStorage === 'undefined') return plain.length;
+
+        // A corrupt or hand-edited value is dropped, or it would stop the migration on every page load
+        let saved = [];
+        try {
+            const parsed = JSON.parse(localStorage.getItem(this.legacyKey) || '[]');
+            saved = Array.isArray(parsed) ? parsed.filter(submission => submission && typeof submission === 'object') : [];
+        } catch (error) {
+            console.warn('[InquiryQueue] Could not read the old queue, discarding:', error.message);
+        }
+        for (const submission of saved) {
+            // The old form HTML-encoded its fields; submissions are plain text now
+            ['name', 'email', 'phone', 'product', 'message'].forEach(field => {
+                if (typeof submission[field] === 'string') submission[field] = SecurityUtils.decodeEntities(submission[field]);
+            });
+
+            // Queued before idempotency keys existed
+            if (!submission.idempotencyKey) {
+                submission.idempotencyKey = SecurityUtils.generateIdempotencyKey();
+            }
+            await this.add(submission, transports);
+        }
+        localStorage.removeItem(this.legacyKey);
+        return plain.length + saved.length;
+    }
+};
+
+// Export for use in other scripts
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = InquiryQueue;
+}
@@ -0,0 +1,268 @@
+/**
+ * Inquiry Transports for Vu Anh Website
+ * Drivers that deliver a form submission, tried in the configured order until one succeeds:
+ *   formspree - Formspree form endpoint (multipart form fields)
+ *   api       - self-hosted inquiry service (server/inquiry-server.js) with one-time CSRF tokens
+ *   webhook   - generic JSON POST (automation tools, chat relays, ...)
+ *   mailto    - fallback: opens the visitor's mail app with the inquiry filled in
+ * Configured in index.html: <script type="application/json" id="inquiryTransports">[...]</script>
+ */
+
+const InquiryTransports = {
+    // Used when the page has no (valid) configuration
+    defaults: [
+        { type: 'formspree', url: 'https://formspree.io/f/mqayvobj' },
+        { type: 'mailto', address: 'vuanh@vuanhco.com' }
+    ],
+
+    // Longest mailto: body kept (mail apps and browsers truncate long URLs)
+    maxMailtoBody: 1500,
+
+    /**
+     * Drivers by type
+     * network: false marks fallbacks that can't confirm delivery; they run only after every network
+     * transport failed, for a submit by the visitor (not background retries) and while online
+     */
+    drivers: {
+        formspree: {
+            network: true,
+            send: async function(submission, config) {
+                const response = await fetch(config.url, {
+                    method: 'POST',
+                    body: InquiryTransports.toFormData(submission),
+                    headers: {
+                        'Accept': 'application/json'
+                    }
+                });
+                await InquiryTransports.checkResponse(response);
+                return { delivered: true };
+            }
+        },
+
+        api: {
+            network: true,
+            send: async function(submission, config, isRetry = false) {
+                const formData = InquiryTransports.toFormData(submission);
+                if (submission.idempotencyKey) {
+                    formData.append('_idempotency_key', submission.idempotencyKey);
+                }
+
+                // A fresh one-time token for every attempt; a rejected token is retried once
+                formData.append('_csrf', await SecurityUtils.fetchCSRFToken(config.tokenUrl || `${config.url}/token`));
+
+                const response = await fetch(config.url, {
+                    method: 'POST',
+                    body: formData,
+                    headers: {
+                        'Accept': 'application/json'
+                    }
+                });
+
+                try {
+                    await InquiryTransports.checkResponse(response);
+                } catch (error) {
+                    if (response.status === 403 && error.code.startsWith('csrf_') && !isRetry) {
+                        return this.send(submission, config, true);
+                    }
+                    throw error;
+                }
+                return { delivered: true };
+            }
+        },
+
+        webhook: {
+            network: true,
+            send: async function(submission, config) {
+                const response = await fetch(config.url, {
+                    method: 'POST',
+                    body: JSON.stringify(InquiryTransports.toJSON(submission)),
+                    headers: {
+                        'Content-Type': 'application/json',
+                        'Accept': 'application/json'
+                    }
+                });
+                await InquiryTransports.checkResponse(response);
+                return { delivered: true };
+            }
+        },
+
+        mailto: {
+            network: false,
+            send: async function(submission, config) {
+                let body = InquiryTransports.toText(submission);
+                if (body.length > InquiryTransports.maxMailtoBody) {
+                    body = `${body.slice(0, InquiryTransports.maxMailtoBody)}…`;
+                }
+
+                // In the page language (mailto only runs in a page, never in the service worker)
+                const subject = submission.product
+                    ? i18n.t('contact.form.mailSubjectProduct', { name: submission.name, product: submission.product })
+                    : i18n.t('contact.form.mailSubject', { name: submission.name });
+                window.location.href = `mailto:${config.address}?subject=${encodeURIComponent(subject)}&body=${encodeURIComponent(body)}`;
+
+                // The visitor still has to press Send in the mail app
+                return { delivered: false };
+            }
+        }
+    },
+
+    /**
+     * Add or replace a driver: { network, send(submission, config) → { delivered } }
+     */
+    registerDriver: function(type, driver) {
+        this.drivers[type] = driver;
+    },
+
+    /**
+     * Transports from the page configuration (unknown types are skipped), else the defaults
+     */
+    getConfig: function() {
+        // The service worker has no page; queued items carry their own configuration
+        const element = typeof document !== 'undefined' && document.getElementById('inquiryTransports');
+        if (element) {
+            try {
+                const config = JSON.parse(element.textContent)
+                    .filter(transport => transport && this.drivers[transport.type]);
+                if (config.length > 0) return config;
+            } catch (error) {
+                console.error('[InquiryTransports] Invalid configuration:', error);
+            }
+        }
+        return this.defaults;
+    },
+
+    /**
+     * Deliver a submission with the first transport that succeeds
+     * A rejection of the submission itself (error.permanent, e.g. 422) ends the run: the next transport
+     * would only reject it again or, for mailto, hide the problem
+     * @param {Object} submission - FormHandler submission
+     * @param {Object} options - interactive: submitted by the visitor just now (allows the mailto fallback),
+     *                           transports: configuration to use instead of the page's
+     * @returns {Promise<Object>} { transport, delivered }; rejects when every transport failed or one rejected it
+     */
+    send: async function(submission, options = {}) {
+        const config = (options.transports || this.getConfig())
+            .filter(transport => this.drivers[transport.type]);
+        const network = config.filter(transport => this.drivers[transport.type].network);
+        const fallbacks = options.interactive && navigator.onLine
+            ? config.filter(transport => !this.drivers[transport.type].network)
+            : [];
+
+        let lastError = new Error('No inquiry transport configured');
+        for (const transport of [...network, ...fallbacks]) {
+            try {
+                const result = await this.drivers[transport.type].send(submission, transport);
+                if (typeof Analytics !== 'undefined') Analytics.trackEvent('Form', 'Transport', transport.type);
+                return Object.assign({ transport: transport.type }, result);
+            } catch (error) {
+                console.warn(`[InquiryTransports] ${transport.type} failed:`, error.message);
+                if (typeof Analytics !== 'undefined') Analytics.trackEvent('Form', 'Transport Failed', transport.type);
+                if (error.permanent) throw error;
+                lastError = error;
+            }
+        }
+        throw lastError;
+    },
+
+    /**
+     * Throw for error responses (message and code from a Formspree-style { errors: [...] } body)
+     * error.permanent: 4xx, the submission was refused and sending it again won't help
+     * (except 408 and 429, which are worth another attempt)
+     */
+    checkResponse: async function(response) {
+        if (response.ok) return;
+
+        const errorData = await response.json().catch(() => ({}));
+        const error = new Error(errorData.errors?.[0]?.message || `Submission failed (${response.status})`);
+        error.code = errorData.errors?.[0]?.code || '';
+        error.status = response.status;
+        error.permanent = response.status >= 400 && response.status < 500 && ![408, 429].includes(response.status);
+        throw error;
+    },
+
+    /**
+     * Form fields shared by Formspree and the inquiry service
+     */
+    toFormData: function(submission) {
+        const formData = new FormData();
+        formData.append('name', submission.name);
+        formData.append('email', submission.email);
+        formData.append('phone', submission.phone);
+        if (submission.items && submission.items.length > 0) {
+            // Multi-product quote: one line per item plus the structured list
+            formData.append('products', this.formatItems(submission.items));
+            formData.append('_items', JSON.stringify(submission.items));
+            if (submission.product) {
+                formData.append('product', submission.product);
+            }
+        } else {
+            formData.append('product', submission.product);
+        }
+        formData.append('message', submission.message);
+        formData.append('_language', submission.language);
+        formData.append('_timestamp', new Date(submission.timestamp).toISOString());
+        if (submission.spam) this.appendSpamFields(formData, submission.spam);
+        return formData;
+    },
+
+    /**
+     * Spam signals (spam-guard.js) as form fields; a filled honeypot makes Formspree drop the submission
+     */
+    appendSpamFields: function(formData, spam) {
+        if (spam.honeypot) formData.append(SpamGuard.honeypotField, spam.honeypot);
+        formData.append('_spam_score', String(spam.score));
+        formData.append('_spam_signals', spam.signals.join(','));
+        if (spam.fillTime !== null) formData.append('_fill_time', String(spam.fillTime));
+        if (spam.pow !== null) formData.append('_pow', spam.pow);
+    },
+
+    /**
+     * JSON body for webhooks
+     */
+    toJSON: function(submission) {
+        return {
+            name: submission.name,
+            email: submission.email,
+            phone: submission.phone,
+            product: submission.product,
+            items: submission.items || [],
+            message: submission.message,
+            language: submission.language,
+            timestamp: new Date(submission.timestamp).toISOString(),
+            idempotencyKey: submission.idempotencyKey || null,
+            spam: submission.spam || null
+        };
+    },
+
+    /**
+     * Plain text version for the mailto: body
+     */
+    toText: function(submission) {
+        const lines = [
+            `Name: ${submission.name}`,
+            `Email: ${submission.email}`,
+            `Phone: ${submission.phone || '-'}`,
+            `Product: ${submission.product || '-'}`
+        ];
+        if (submission.items && submission.items.length > 0) {
+            lines.push('', 'Quote items:', this.formatItems(submission.items));
+        }
+        lines.push('', submission.message);
+        return lines.join('\n');
+    },
+
+    formatItems: function(items) {
+        if (typeof QuoteCart !== 'undefined') return QuoteCart.formatItems(items);
+
+        // Same layout as QuoteCart.formatItems (not loaded in the service worker)
+        return items.map((item, index) => {
+            const line = `${index + 1}. ${item.name} [${item.id}] x ${item.quantity}`;
+            return item.notes ? `${line} - Notes: ${item.notes}` : line;
+        }).join('\n');
+    }
+};
+
+// Export for use in other scripts
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = InquiryTransports;
+}
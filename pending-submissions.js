@@ -0,0 +1,304 @@
+/**
+ * Pending Submissions Panel for Vu Anh Website
+ * Opened from the offline badge: lists queued inquiries (inquiry-queue.js) with their retry state
+ * and lets the visitor send one now, move it back into the form to edit it, or delete it
+ */
+
+const PendingSubmissions = {
+    panel: null,
+    trigger: null,
+    entries: [],
+
+    // Live state reported while a send run works through the queue: id → sending | sent | retry | failed
+    progress: {},
+
+    // Characters of the message's first line shown per item
+    previewLength: 80,
+
+    isOpen: function() {
+        return Boolean(this.panel && !this.panel.hidden);
+    },
+
+    /**
+     * Open or close the panel from the badge button
+     */
+    toggle: function(trigger) {
+        if (this.isOpen()) {
+            this.close();
+        } else {
+            this.open(trigger);
+        }
+    },
+
+    open: async function(trigger) {
+        this.trigger = trigger || null;
+        if (!this.panel) this.createPanel();
+
+        await this.load();
+        this.panel.hidden = false;
+        this.updateTrigger();
+        this.panel.querySelector('.pending-panel-title').focus();
+
+        if (typeof Analytics !== 'undefined') {
+            Analytics.trackEvent('Form', 'Pending Panel', String(this.entries.length));
+        }
+    },
+
+    close: function() {
+        if (!this.panel) return;
+
+        this.panel.hidden = true;
+        this.updateTrigger();
+
+        // Sent items are only kept on screen while the panel stays open
+        Object.keys(this.progress).forEach(id => {
+            if (this.progress[id] === 'sent') delete this.progress[id];
+        });
+        if (this.trigger && this.trigger.isConnected) this.trigger.focus();
+    },
+
+    updateTrigger: function() {
+        if (this.trigger) this.trigger.setAttribute('aria-expanded', String(this.isOpen()));
+    },
+
+    /**
+     * Reload the queue into the panel (called by FormHandler after each send run)
+     */
+    refresh: async function() {
+        if (!this.isOpen()) return;
+        await this.load();
+    },
+
+    /**
+     * Read the queue; items sent while the panel is open stay listed with their "sent" state
+     */
+    load: async function() {
+        let entries = [];
+        try {
+            entries = await InquiryQueue.getEntries();
+        } catch (error) {
+            console.error('[PendingSubmissions] Could not read the queue:', error);
+        }
+
+        const sent = this.entries.filter(entry =>
+            this.progress[entry.id] === 'sent' && !entries.some(item => item.id === entry.id));
+        this.entries = [...sent, ...entries].sort((a, b) => a.createdAt - b.createdAt);
+        this.render();
+    },
+
+    /**
+     * Live state of one item from InquiryQueue.flush (this tab or the service worker)
+     */
+    setProgress: function(id, status) {
+        this.progress[id] = status;
+        if (!this.isOpen()) return;
+
+        const item = this.panel.querySelector(`.pending-item[data-id="${CSS.escape(id)}"]`);
+        const entry = this.entries.find(candidate => candidate.id === id);
+        if (item && entry) this.updateItem(item, entry);
+    },
+
+    createPanel: function() {
+        this.panel = document.createElement('aside');
+        this.panel.className = 'pending-panel';
+        this.panel.id = 'pendingPanel';
+        this.panel.hidden = true;
+        this.panel.setAttribute('aria-labelledby', 'pendingPanelTitle');
+        this.panel.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape') this.close();
+        });
+        document.body.appendChild(this.panel);
+
+        // "Send now" and the offline state follow the connection
+        window.addEventListener('online', () => this.refresh());
+        window.addEventListener('offline', () => this.refresh());
+    },
+
+    /**
+     * Render the panel in the current language
+     */
+    render: function() {
+        if (!this.panel) return;
+
+        const panel = this.panel;
+        panel.innerHTML = '';
+
+        const header = document.createElement('div');
+        header.className = 'pending-panel-header';
+
+        const title = document.createElement('h2');
+        title.className = 'pending-panel-title';
+        title.id = 'pendingPanelTitle';
+        title.tabIndex = -1;
+        title.textContent = i18n.t('contact.form.pending.panelTitle');
+        header.appendChild(title);
+
+        const closeButton = document.createElement('button');
+        closeButton.type = 'button';
+        closeButton.className = 'pending-panel-close';
+        closeButton.setAttribute('aria-label', i18n.t('contact.form.pending.close'));
+        closeButton.textContent = '×';
+        closeButton.addEventListener('click', () => this.close());
+        header.appendChild(closeButton);
+        panel.appendChild(header);
+
+        const list = document.createElement('ul');
+        list.className = 'pending-panel-items';
+        this.entries.forEach(entry => list.appendChild(this.createItem(entry)));
+        panel.appendChild(list);
+    },
+
+    createItem: function(entry) {
+        const submission = entry.submission;
+        const item = document.createElement('li');
+        item.className = 'pending-item';
+        item.dataset.id = entry.id;
+
+        const product = document.createElement('strong');
+        product.className = 'pending-item-product';
+        product.textContent = this.getProductLabel(submission);
+        item.appendChild(product);
+
+        const time = document.createElement('time');
+        time.className = 'pending-item-time';
+        time.dateTime = new Date(entry.createdAt).toISOString();
+        time.textContent = i18n.formatDate(entry.createdAt, { dateStyle: 'medium', timeStyle: 'short' });
+        item.appendChild(time);
+
+        const message = document.createElement('p');
+        message.className = 'pending-item-message';
+        message.textContent = this.getPreview(submission.message);
+        item.appendChild(message);
+
+        const meta = document.createElement('p');
+        meta.className = 'pending-item-meta';
+        item.appendChild(meta);
+
+        const status = document.createElement('p');
+        status.className = 'pending-item-status';
+        status.setAttribute('aria-live', 'polite');
+        item.appendChild(status);
+
+        const actions = document.createElement('div');
+        actions.className = 'pending-item-actions';
+        [
+            ['send', i18n.t('contact.form.pending.sendNow'), () => this.sendNow(entry.id)],
+            ['edit', i18n.t('contact.form.pending.edit'), () => this.edit(entry.id)],
+            ['delete', i18n.t('contact.form.pending.delete'), () => this.remove(entry.id)]
+        ].forEach(([action, label, handler]) => {
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.className = `pending-item-${action}`;
+            button.textContent = label;
+            button.addEventListener('click', handler);
+            actions.appendChild(button);
+        });
+        item.appendChild(actions);
+
+        this.updateItem(item, entry);
+        return item;
+    },
+
+    /**
+     * Retry count, last error, status and available actions of one item
+     */
+    updateItem: function(item, entry) {
+        const state = this.getState(entry);
+        item.dataset.state = state;
+
+        const meta = [i18n.t('contact.form.pending.attempts', { count: entry.attempts })];
+        if (entry.lastError && state !== 'sent') {
+            meta.push(i18n.t('contact.form.pending.lastError', { error: entry.lastError }));
+        }
+        item.querySelector('.pending-item-meta').textContent = meta.join(' · ');
+        item.querySelector('.pending-item-status').textContent =
+            i18n.t(`contact.form.pending.status.${state}`, { time: entry.nextAttemptAt });
+
+        const busy = state === 'sending' || state === 'sent';
+        item.querySelectorAll('.pending-item-actions button').forEach(button => {
+            button.disabled = busy;
+        });
+        // Held for the form: sending the original as well would duplicate the edited inquiry
+        const editing = state === 'editing';
+        item.querySelector('.pending-item-send').disabled = busy || editing || !navigator.onLine;
+        item.querySelector('.pending-item-edit').disabled = busy || editing;
+    },
+
+    /**
+     * sending | sent (live), failed (gave up), editing (held in the form), offline, retry (backing off) or queued (due)
+     */
+    getState: function(entry) {
+        const progress = this.progress[entry.id];
+        if (progress === 'sending' || progress === 'sent') return progress;
+        if (entry.status === 'failed' || progress === 'failed') return 'failed';
+        if (entry.heldUntil > Date.now()) return 'editing';
+        if (!navigator.onLine) return 'offline';
+        return entry.nextAttemptAt > Date.now() ? 'retry' : 'queued';
+    },
+
+    getProductLabel: function(submission) {
+        if (submission.items && submission.items.length > 0) {
+            return submission.items.map(item => item.name).join(', ');
+        }
+        return submission.product || i18n.t('contact.form.pending.generalInquiry');
+    },
+
+    getPreview: function(message) {
+        const firstLine = message.split('\n')[0].trim();
+        return firstLine.length > this.previewLength
+            ? `${firstLine.slice(0, this.previewLength)}…`
+            : firstLine;
+    },
+
+    /**
+     * Send one item now (a failed item gets a fresh set of attempts)
+     */
+    sendNow: async function(id) {
+        await InquiryQueue.retryNow(id);
+        await FormHandler.sendPendingSubmissions();
+        await this.refresh();
+    },
+
+    /**
+     * Move an item back into the form for the visitor to correct and send again
+     * The item stays queued but held; FormHandler removes it once the edited form is sent or queued
+     */
+    edit: async function(id) {
+        const entry = this.entries.find(candidate => candidate.id === id);
+        if (!entry) return;
+
+        await InquiryQueue.hold(id);
+        this.close();
+        FormHandler.restoreSubmission(entry.submission, id);
+    },
+
+    remove: async function(id) {
+        await InquiryQueue.remove(id);
+        delete this.progress[id];
+        this.entries = this.entries.filter(entry => entry.id !== id);
+        await FormHandler.updatePendingCount();
+
+        if (this.entries.length === 0) {
+            this.close();
+        } else {
+            this.render();
+            this.panel.querySelector('.pending-panel-title').focus();
+        }
+
+        if (typeof Analytics !== 'undefined') {
+            Analytics.trackEvent('Form', 'Pending Deleted', 'Contact Form');
+        }
+    },
+
+    /**
+     * Re-render texts in the current language
+     */
+    refreshLanguage: function() {
+        if (this.isOpen()) this.render();
+    }
+};
+
+// Export for use in other scripts
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = PendingSubmissions;
+}
@@ -0,0 +1,106 @@
+/**
+ * Phone Number Parsing for Vu Anh Website
+ * Country-aware check and E.164 normalization (+84912345678) of the inquiry phone field;
+ * shared by FormValidation (browser and server/inquiry-server.js) and the country selector in FormHandler
+ */
+
+const PhoneNumbers = {
+    defaultCountry: 'VN',
+
+    /**
+     * Countries in selector order: Vietnam first, then China, Korea and Japan
+     * dial: calling code, trunk: national prefix dropped in E.164,
+     * pattern: national significant number (after the trunk prefix), example: shown in error messages
+     */
+    countries: [
+        { code: 'VN', dial: '84', trunk: '0', pattern: /^(?:[35789]\d{8}|2\d{9})$/, example: '091 234 5678' },
+        { code: 'CN', dial: '86', trunk: '0', pattern: /^(?:1[3-9]\d{9}|10\d{8}|2\d{9}|[3-9]\d{9,10})$/, example: '131 2345 6789' },
+        { code: 'KR', dial: '82', trunk: '0', pattern: /^(?:1[016-9]\d{7,8}|2\d{7,8}|[3-6]\d{8,9}|70\d{8})$/, example: '010-2345-6789' },
+        // Mobile and IP numbers (050, 070, 080, 090) have 10 digits after the trunk prefix, landlines 9
+        { code: 'JP', dial: '81', trunk: '0', pattern: /^(?:[5789]0\d{8}|(?![5789]0)[1-9]\d{8})$/, example: '090-1234-5678' },
+        { code: 'TW', dial: '886', trunk: '0', pattern: /^(?:9\d{8}|[2-8]\d{7,8})$/, example: '0912 345 678' },
+        { code: 'SG', dial: '65', trunk: '', pattern: /^[3689]\d{7}$/, example: '8123 4567' },
+        { code: 'TH', dial: '66', trunk: '0', pattern: /^(?:[689]\d{8}|[2-7]\d{7})$/, example: '081 234 5678' },
+        { code: 'US', dial: '1', trunk: '1', pattern: /^[2-9]\d{2}[2-9]\d{6}$/, example: '(201) 555-0123' }
+    ],
+
+    // Digits, spaces, dots, dashes and brackets, with an optional leading +
+    formatPattern: /^\+?[\d\s.\-()]+$/,
+
+    // E.164 limits for numbers of countries not in the list (typed with + or 00)
+    minDigits: 8,
+    maxDigits: 15,
+
+    getCountry: function(code) {
+        return this.countries.find(country => country.code === code) || null;
+    },
+
+    /**
+     * Parse a phone number typed for a country; "+<code> ..." or "00<code> ..." overrides the country
+     * @param {string} input - Phone number as typed
+     * @param {string} countryCode - Selected country (ISO 3166), defaultCountry when missing
+     * @returns {Object} { valid, country (code, null for unlisted international numbers), e164,
+     *                     error: null | 'format' (not a phone number) | 'country' (wrong length/prefix for the country) }
+     */
+    parse: function(input, countryCode) {
+        const text = String(input || '').trim();
+        const selected = this.getCountry(countryCode) || this.getCountry(this.defaultCountry);
+        const result = { valid: false, country: selected.code, e164: null, error: 'format' };
+
+        if (!this.formatPattern.test(text)) return result;
+
+        let digits = text.replace(/\D/g, '');
+        if (!digits) return result;
+        const international = text.startsWith('+') || digits.startsWith('00');
+        if (digits.startsWith('00')) digits = digits.slice(2);
+
+        let country = selected;
+        let national = digits;
+        if (international) {
+            // The selected country wins for shared calling codes, else the longest matching code
+            country = digits.startsWith(selected.dial)
+                ? selected
+                : this.countries
+                    .filter(candidate => digits.startsWith(candidate.dial))
+                    .sort((a, b) => b.dial.length - a.dial.length)[0];
+
+            if (!country) {
+                const valid = digits.length >= this.minDigits && digits.length <= this.maxDigits && digits[0] !== '0';
+                return { valid, country: null, e164: valid ? `+${digits}` : null, error: valid ? null : 'format' };
+            }
+            national = digits.slice(country.dial.length);
+        } else if (national.startsWith(country.dial) && !this.matches(national, country) &&
+            this.matches(national.slice(country.dial.length), country)) {
+            // Calling code typed without the + (84912345678)
+            national = national.slice(country.dial.length);
+        }
+
+        // "+84 (0)91 ..." keeps the trunk prefix after the calling code
+        national = this.stripTrunk(national, country);
+        if (!country.pattern.test(national)) {
+            return { valid: false, country: country.code, e164: null, error: 'country' };
+        }
+        return { valid: true, country: country.code, e164: `+${country.dial}${national}`, error: null };
+    },
+
+    stripTrunk: function(national, country) {
+        return country.trunk && national.startsWith(country.trunk) ? national.slice(country.trunk.length) : national;
+    },
+
+    matches: function(national, country) {
+        return country.pattern.test(this.stripTrunk(national, country));
+    },
+
+    /**
+     * E.164 form of a number, or the input unchanged when it does not parse
+     */
+    normalize: function(input, countryCode) {
+        const parsed = this.parse(input, countryCode);
+        return parsed.valid ? parsed.e164 : input;
+    }
+};
+
+// Export for use in other scripts
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = PhoneNumbers;
+}
@@ -0,0 +1,566 @@
+/**
+ * Product Comparison for Vu Anh Website
+ * "Add to compare" on cards, a persistent compare drawer and a side-by-side
+ * spec table with a shareable URL (?compare=id1,id2)
+ */
+
+const ProductCompare = {
+    storageKey: 'vuanh_compare',
+    maxItems: 4,
+    selected: [],
+    tableOpen: false,
+    drawer: null,
+    overlay: null,
+    lastFocused: null,
+
+    /**
+     * Initialize from URL (shared link) or localStorage
+     */
+    init: function() {
+        if (!ProductCatalog.loaded) return;
+
+        const fromUrl = this.getIdsFromUrl();
+        if (fromUrl.length > 0) {
+            this.selected = fromUrl;
+            this.save();
+        } else {
+            this.load();
+        }
+
+        this.renderDrawer();
+        this.updateCardButtons();
+
+        if (fromUrl.length > 1) {
+            this.openTable({ updateUrl: false });
+        }
+
+        window.addEventListener('popstate', () => this.syncWithLocation());
+        document.addEventListener('keydown', (event) => {
+            if (event.key === 'Escape' && this.tableOpen) {
+                this.closeTable();
+            }
+        });
+
+        console.log('[ProductCompare] Initialized');
+    },
+
+    /**
+     * Read valid product ids from ?compare=
+     */
+    getIdsFromUrl: function() {
+        const urlParams = new URLSearchParams(window.location.search);
+        return (urlParams.get('compare') || '')
+            .split(',')
+            .filter(id => ProductCatalog.getProduct(id))
+            .slice(0, this.maxItems);
+    },
+
+    /**
+     * Load selection from localStorage
+     */
+    load: function() {
+        try {
+            const saved = JSON.parse(localStorage.getItem(this.storageKey) || '[]');
+            this.selected = Array.isArray(saved)
+                ? saved.filter(id => ProductCatalog.getProduct(id)).slice(0, this.maxItems)
+                : [];
+        } catch (e) {
+            console.warn('[ProductCompare] Could not load comparison list');
+            this.selected = [];
+        }
+    },
+
+    /**
+     * Save selection to localStorage
+     */
+    save: function() {
+        try {
+            localStorage.setItem(this.storageKey, JSON.stringify(this.selected));
+        } catch (e) {
+            console.warn('[ProductCompare] Could not save comparison list');
+        }
+    },
+
+    has: function(id) {
+        return this.selected.includes(id);
+    },
+
+    /**
+     * Add or remove a product
+     */
+    toggle: function(id) {
+        if (this.has(id)) {
+            this.remove(id);
+        } else {
+            this.add(id);
+        }
+    },
+
+    add: function(id) {
+        if (this.has(id) || !ProductCatalog.getProduct(id)) return false;
+
+        if (this.selected.length >= this.maxItems) {
+            this.announce(i18n.t('products.compare.limit', { max: this.maxItems }));
+            return false;
+        }
+
+        this.selected.push(id);
+        this.changed();
+
+        if (typeof Analytics !== 'undefined') {
+            Analytics.trackEvent('Product Compare', 'Add', id);
+        }
+        return true;
+    },
+
+    remove: function(id) {
+        this.selected = this.selected.filter(selectedId => selectedId !== id);
+        this.changed();
+    },
+
+    clear: function() {
+        this.selected = [];
+        this.changed();
+        if (this.tableOpen) {
+            this.closeTable();
+        }
+    },
+
+    /**
+     * Persist and refresh UI after a selection change
+     */
+    changed: function() {
+        this.save();
+        this.renderDrawer();
+        this.updateCardButtons();
+
+        if (this.tableOpen) {
+            if (this.selected.length < 2) {
+                this.closeTable();
+            } else {
+                this.renderTable();
+                this.replaceUrl();
+            }
+        }
+    },
+
+    /**
+     * Build the "Add to compare" toggle for a product card
+     */
+    createToggleButton: function(product) {
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.className = 'compare-toggle';
+        button.setAttribute('data-compare-id', product.id);
+        button.addEventListener('click', () => this.toggle(product.id));
+        this.updateToggleButton(button);
+        return button;
+    },
+
+    updateToggleButton: function(button) {
+        const active = this.has(button.getAttribute('data-compare-id'));
+        button.classList.toggle('active', active);
+        button.setAttribute('aria-pressed', active.toString());
+        button.textContent = active
+            ? i18n.t('products.compare.remove')
+            : i18n.t('products.compare.add');
+    },
+
+    updateCardButtons: function() {
+        document.querySelectorAll('.compare-toggle').forEach(button => this.updateToggleButton(button));
+    },
+
+    /**
+     * Render the compare drawer (hidden when nothing is selected)
+     */
+    renderDrawer: function() {
+        if (!this.drawer) {
+            this.drawer = document.createElement('aside');
+            this.drawer.className = 'compare-drawer';
+            this.drawer.id = 'compareDrawer';
+            document.body.appendChild(this.drawer);
+        }
+
+        const drawer = this.drawer;
+        drawer.innerHTML = '';
+        drawer.setAttribute('aria-label', i18n.t('products.compare.drawerLabel'));
+        drawer.hidden = this.selected.length === 0;
+        if (drawer.hidden) return;
+
+        const list = document.createElement('ul');
+        list.className = 'compare-drawer-items';
+
+        this.selected.forEach(id => {
+            const product = ProductCatalog.getProduct(id);
+            const item = document.createElement('li');
+
+            const name = document.createElement('span');
+            name.textContent = ProductCatalog.localize(product.name);
+            item.appendChild(name);
+
+            const removeButton = document.createElement('button');
+            removeButton.type = 'button';
+            removeButton.className = 'compare-drawer-remove';
+            removeButton.textContent = '×';
+            removeButton.setAttribute('aria-label', `${i18n.t('products.compare.remove')}: ${name.textContent}`);
+            removeButton.addEventListener('click', () => this.remove(id));
+            item.appendChild(removeButton);
+
+            list.appendChild(item);
+        });
+        drawer.appendChild(list);
+
+        const actions = document.createElement('div');
+        actions.className = 'compare-drawer-actions';
+
+        const compareButton = document.createElement('button');
+        compareButton.type = 'button';
+        compareButton.className = 'compare-open';
+        compareButton.textContent = i18n.t('products.compare.open', { count: this.selected.length });
+        compareButton.disabled = this.selected.length < 2;
+        compareButton.title = compareButton.disabled ? i18n.t('products.compare.minimum') : '';
+        compareButton.addEventListener('click', () => this.openTable());
+        actions.appendChild(compareButton);
+
+        const clearButton = document.createElement('button');
+        clearButton.type = 'button';
+        clearButton.className = 'compare-clear';
+        clearButton.textContent = i18n.t('products.compare.clear');
+        clearButton.addEventListener('click', () => this.clear());
+        actions.appendChild(clearButton);
+
+        drawer.appendChild(actions);
+
+        const status = document.createElement('p');
+        status.className = 'compare-status sr-only';
+        status.setAttribute('role', 'status');
+        status.setAttribute('aria-live', 'polite');
+        drawer.appendChild(status);
+    },
+
+    /**
+     * Announce a short message in the drawer (screen readers and tooltip)
+     */
+    announce: function(message) {
+        const status = this.drawer && this.drawer.querySelector('.compare-status');
+        if (status) {
+            status.textContent = message;
+        }
+        console.warn(`[ProductCompare] ${message}`);
+    },
+
+    /**
+     * Shareable comparison URL in the current language
+     */
+    getShareUrl: function() {
+        const url = i18n.getLanguageUrl(i18n.currentLang);
+        url.searchParams.set('compare', this.selected.join(','));
+        url.hash = 'products';
+        return url;
+    },
+
+    replaceUrl: function() {
+        if (history.replaceState) {
+            history.replaceState(history.state, '', this.getShareUrl());
+        }
+    },
+
+    /**
+     * Open the comparison table
+     * @param {Object} options - { updateUrl: push a ?compare= history entry (default true) }
+     */
+    openTable: function(options = {}) {
+        const { updateUrl = true } = options;
+        if (this.selected.length < 2) return;
+
+        if (!this.tableOpen) {
+            this.lastFocused = document.activeElement;
+        }
+
+        this.tableOpen = true;
+        this.renderTable();
+        this.overlay.hidden = false;
+        document.body.classList.add('product-detail-open');
+        this.overlay.querySelector('.product-detail-close').focus();
+
+        if (updateUrl && history.pushState) {
+            history.pushState({ compare: this.selected.slice() }, '', this.getShareUrl());
+        }
+
+        if (typeof Analytics !== 'undefined') {
+            Analytics.trackEvent('Product Compare', 'Open', this.selected.join(','));
+        }
+    },
+
+    /**
+     * Close the comparison table
+     */
+    closeTable: function(options = {}) {
+        const { updateUrl = true } = options;
+        if (!this.tableOpen) return;
+
+        this.tableOpen = false;
+        this.overlay.hidden = true;
+        document.body.classList.remove('product-detail-open');
+
+        if (updateUrl && history.pushState) {
+            const url = new URL(window.location);
+            url.searchParams.delete('compare');
+            history.pushState(null, '', url);
+        }
+
+        if (this.lastFocused && typeof this.lastFocused.focus === 'function') {
+            this.lastFocused.focus();
+        }
+        this.lastFocused = null;
+    },
+
+    /**
+     * Open/close the table to match the URL (back/forward buttons)
+     */
+    syncWithLocation: function() {
+        const ids = this.getIdsFromUrl();
+
+        if (ids.length > 1) {
+            this.selected = ids;
+            this.save();
+            this.renderDrawer();
+            this.updateCardButtons();
+            this.openTable({ updateUrl: false });
+        } else if (this.tableOpen) {
+            this.closeTable({ updateUrl: false });
+        }
+    },
+
+    /**
+     * Re-render drawer, buttons and open table (e.g. after a language switch)
+     */
+    render: function() {
+        if (!ProductCatalog.loaded) return;
+
+        this.renderDrawer();
+        this.updateCardButtons();
+        if (this.tableOpen) {
+            this.renderTable();
+        }
+    },
+
+    /**
+     * Create the table dialog once (shares the product detail dialog styles)
+     */
+    ensureOverlay: function() {
+        if (this.overlay) return;
+
+        const overlay = document.createElement('div');
+        overlay.className = 'product-detail-overlay';
+        overlay.id = 'productCompare';
+        overlay.hidden = true;
+
+        const dialog = document.createElement('div');
+        dialog.className = 'product-detail product-compare';
+        dialog.setAttribute('role', 'dialog');
+        dialog.setAttribute('aria-modal', 'true');
+        dialog.setAttribute('aria-labelledby', 'productCompareTitle');
+
+        const closeButton = document.createElement('button');
+        closeButton.type = 'button';
+        closeButton.className = 'product-detail-close';
+        closeButton.textContent = '×';
+        closeButton.addEventListener('click', () => this.closeTable());
+
+        const content = document.createElement('div');
+        content.className = 'product-detail-content';
+
+        dialog.appendChild(closeButton);
+        dialog.appendChild(content);
+        overlay.appendChild(dialog);
+
+        overlay.addEventListener('click', (event) => {
+            if (event.target === overlay) {
+                this.closeTable();
+            }
+        });
+
+        document.body.appendChild(overlay);
+        this.overlay = overlay;
+    },
+
+    /**
+     * Rows of the comparison table: general info followed by the union of spec keys
+     * @returns {Array} - [{ label, values: [text per product] }]
+     */
+    buildRows: function(products) {
+        const localize = (value) => ProductCatalog.localize(value);
+        const empty = i18n.t('products.compare.empty');
+        const facetText = (product, group) => ProductCatalog.getFacetValues(product, group)
+            .map(value => localize(ProductCatalog.facets[group]?.values?.[value]))
+            .join(', ') || empty;
+
+        const rows = [
+            {
+                label: i18n.t('products.compare.manufacturer'),
+                values: products.map(product => {
+                    const partner = ProductCatalog.getPartner(product);
+                    return partner ? partner.name : empty;
+                })
+            },
+            {
+                label: i18n.t('products.compare.series'),
+                values: products.map(product => localize(product.series) || empty)
+            },
+            {
+                label: localize(ProductCatalog.facets.category?.label),
+                values: products.map(product => facetText(product, 'category'))
+            },
+            {
+                label: localize(ProductCatalog.facets.application?.label),
+                values: products.map(product => facetText(product, 'application'))
+            }
+        ];
+
+        // Union of spec keys, in order of first appearance
+        const specKeys = [];
+        products.forEach(product => {
+            (product.specs || []).forEach(spec => {
+                if (!specKeys.includes(spec.key)) specKeys.push(spec.key);
+            });
+        });
+
+        specKeys.forEach(key => {
+            const label = ProductCatalog.specLabels[key];
+            rows.push({
+                label: label ? localize(label) : key,
+                values: products.map(product => {
+                    const spec = (product.specs || []).find(item => item.key === key);
+                    return spec ? localize(spec.value) : empty;
+                })
+            });
+        });
+
+        return rows;
+    },
+
+    /**
+     * Render the comparison table into the dialog
+     */
+    renderTable: function() {
+        this.ensureOverlay();
+
+        const products = this.selected.map(id => ProductCatalog.getProduct(id)).filter(Boolean);
+        const content = this.overlay.querySelector('.product-detail-content');
+        content.innerHTML = '';
+
+        this.overlay.querySelector('.product-detail-close')
+            .setAttribute('aria-label', i18n.t('products.compare.closeLabel'));
+
+        const header = document.createElement('header');
+        header.className = 'product-detail-header';
+        const title = document.createElement('h2');
+        title.id = 'productCompareTitle';
+        title.textContent = i18n.t('products.compare.title');
+        header.appendChild(title);
+        content.appendChild(header);
+
+        const wrapper = document.createElement('div');
+        wrapper.className = 'compare-table-wrapper';
+
+        const table = document.createElement('table');
+        table.className = 'product-specs compare-table';
+
+        // Head: product names with links to their detail views
+        const thead = document.createElement('thead');
+        const headRow = document.createElement('tr');
+        const corner = document.createElement('td');
+        headRow.appendChild(corner);
+
+        products.forEach(product => {
+            const th = document.createElement('th');
+            th.scope = 'col';
+
+            const link = document.createElement('a');
+            link.href = `#products/${product.id}`;
+            link.textContent = ProductCatalog.localize(product.name);
+            link.addEventListener('click', (event) => {
+                this.closeTable({ updateUrl: false });
+                handleNavLinkClick(event);
+            });
+            th.appendChild(link);
+
+            const removeButton = document.createElement('button');
+            removeButton.type = 'button';
+            removeButton.className = 'compare-drawer-remove';
+            removeButton.textContent = '×';
+            removeButton.setAttribute('aria-label', `${i18n.t('products.compare.remove')}: ${link.textContent}`);
+            removeButton.addEventListener('click', () => this.remove(product.id));
+            th.appendChild(removeButton);
+
+            headRow.appendChild(th);
+        });
+        thead.appendChild(headRow);
+        table.appendChild(thead);
+
+        // Body
+        const tbody = document.createElement('tbody');
+        this.buildRows(products).forEach(row => {
+            const tr = document.createElement('tr');
+
+            const th = document.createElement('th');
+            th.scope = 'row';
+            th.textContent = row.label;
+            tr.appendChild(th);
+
+            row.values.forEach(value => {
+                const td = document.createElement('td');
+                td.textContent = value;
+                tr.appendChild(td);
+            });
+
+            tbody.appendChild(tr);
+        });
+        table.appendChild(tbody);
+
+        wrapper.appendChild(table);
+        content.appendChild(wrapper);
+
+        // Share link
+        const share = document.createElement('div');
+        share.className = 'compare-share';
+
+        const shareInput = document.createElement('input');
+        shareInput.type = 'text';
+        shareInput.readOnly = true;
+        shareInput.value = this.getShareUrl().toString();
+        shareInput.setAttribute('aria-label', i18n.t('products.compare.share'));
+        share.appendChild(shareInput);
+
+        const copyButton = document.createElement('button');
+        copyButton.type = 'button';
+        copyButton.className = 'compare-copy';
+        copyButton.textContent = i18n.t('products.compare.share');
+        copyButton.addEventListener('click', () => this.copyShareUrl(shareInput, copyButton));
+        share.appendChild(copyButton);
+
+        content.appendChild(share);
+    },
+
+    /**
+     * Copy the share URL to the clipboard (falls back to selecting the text)
+     */
+    copyShareUrl: async function(input, button) {
+        try {
+            await navigator.clipboard.writeText(input.value);
+            button.textContent = i18n.t('products.compare.copied');
+        } catch (e) {
+            input.select();
+        }
+
+        if (typeof Analytics !== 'undefined') {
+            Analytics.trackEvent('Product Compare', 'Share', this.selected.join(','));
+        }
+    }
+};
+
+// Export for use in other scripts
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ProductCompare;
+}
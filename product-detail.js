@@ -0,0 +1,351 @@
+/**
+ * Product Detail View for Vu Anh Website
+ * Deep-linkable product pages (#products/<id> or ?product=<id>)
+ */
+
+const ProductDetail = {
+    currentId: null,
+    overlay: null,
+    lastFocused: null,
+
+    /**
+     * Initialize detail view and open the product from the current URL
+     */
+    init: function() {
+        // Back/forward buttons and manually edited hashes
+        window.addEventListener('popstate', () => this.syncWithLocation());
+
+        document.addEventListener('keydown', (event) => this.handleKeydown(event));
+
+        this.syncWithLocation();
+        console.log('[ProductDetail] Initialized');
+    },
+
+    /**
+     * Extract product id from a hash like '#products/emco-dpm'
+     */
+    getProductIdFromHash: function(hash) {
+        const match = /^#products\/([a-z0-9-]+)$/i.exec(hash || '');
+        return match ? match[1].toLowerCase() : null;
+    },
+
+    /**
+     * Get product id from the current location (hash first, then ?product=)
+     */
+    getProductIdFromLocation: function() {
+        const fromHash = this.getProductIdFromHash(window.location.hash);
+        if (fromHash) return fromHash;
+
+        const urlParams = new URLSearchParams(window.location.search);
+        const fromQuery = urlParams.get('product');
+        return fromQuery ? fromQuery.toLowerCase() : null;
+    },
+
+    /**
+     * Build a shareable URL for a product in the current language
+     */
+    getProductUrl: function(id) {
+        const url = i18n.getLanguageUrl(i18n.currentLang);
+        url.searchParams.delete('product');
+        url.hash = `products/${id}`;
+        return url;
+    },
+
+    /**
+     * Open or close the detail view to match the URL
+     */
+    syncWithLocation: function() {
+        const id = this.getProductIdFromLocation();
+
+        if (id && ProductCatalog.getProduct(id)) {
+            if (id !== this.currentId) {
+                this.open(id);
+            }
+        } else if (this.currentId) {
+            this.close({ updateUrl: false });
+        }
+    },
+
+    /**
+     * Open detail view for a product
+     * URL handling is left to the caller (handleNavLinkClick / popstate)
+     */
+    open: function(id) {
+        const product = ProductCatalog.getProduct(id);
+        if (!product) {
+            console.warn(`[ProductDetail] Unknown product: ${id}`);
+            return false;
+        }
+
+        if (!this.currentId) {
+            this.lastFocused = document.activeElement;
+        }
+
+        this.currentId = id;
+        this.render();
+
+        this.overlay.hidden = false;
+        document.body.classList.add('product-detail-open');
+        this.overlay.querySelector('.product-detail-close').focus();
+
+        if (typeof Analytics !== 'undefined') {
+            Analytics.trackEvent('Product', 'View Details', id);
+        }
+        return true;
+    },
+
+    /**
+     * Close detail view
+     * @param {Object} options - { updateUrl: push '#products' history entry (default true) }
+     */
+    close: function(options = {}) {
+        const { updateUrl = true } = options;
+        if (!this.currentId) return;
+
+        this.currentId = null;
+        if (this.overlay) {
+            this.overlay.hidden = true;
+        }
+        document.body.classList.remove('product-detail-open');
+
+        if (updateUrl && history.pushState) {
+            const url = new URL(window.location);
+            url.searchParams.delete('product');
+            url.hash = 'products';
+            history.pushState(null, '', url);
+        }
+
+        if (this.lastFocused && typeof this.lastFocused.focus === 'function') {
+            this.lastFocused.focus();
+        }
+        this.lastFocused = null;
+    },
+
+    /**
+     * Re-render the open product (e.g. after a language switch)
+     */
+    render: function() {
+        if (!this.currentId) return;
+
+        const product = ProductCatalog.getProduct(this.currentId);
+        if (!product) return;
+
+        this.ensureOverlay();
+
+        const content = this.overlay.querySelector('.product-detail-content');
+        content.innerHTML = '';
+        content.appendChild(this.buildContent(product));
+
+        const closeButton = this.overlay.querySelector('.product-detail-close');
+        closeButton.setAttribute('aria-label', i18n.t('products.detail.closeLabel'));
+    },
+
+    /**
+     * Create the dialog container once
+     */
+    ensureOverlay: function() {
+        if (this.overlay) return;
+
+        const overlay = document.createElement('div');
+        overlay.className = 'product-detail-overlay';
+        overlay.id = 'productDetail';
+        overlay.hidden = true;
+
+        const dialog = document.createElement('div');
+        dialog.className = 'product-detail';
+        dialog.setAttribute('role', 'dialog');
+        dialog.setAttribute('aria-modal', 'true');
+        dialog.setAttribute('aria-labelledby', 'productDetailTitle');
+
+        const closeButton = document.createElement('button');
+        closeButton.type = 'button';
+        closeButton.className = 'product-detail-close';
+        closeButton.textContent = '×';
+        closeButton.addEventListener('click', () => this.close());
+
+        const content = document.createElement('div');
+        content.className = 'product-detail-content';
+
+        dialog.appendChild(closeButton);
+        dialog.appendChild(content);
+        overlay.appendChild(dialog);
+
+        // Click on the backdrop closes the dialog
+        overlay.addEventListener('click', (event) => {
+            if (event.target === overlay) {
+                this.close();
+            }
+        });
+
+        document.body.appendChild(overlay);
+        this.overlay = overlay;
+    },
+
+    /**
+     * Build the detail view content for a product
+     */
+    buildContent: function(product) {
+        const localize = (value) => ProductCatalog.localize(value);
+        const fragment = document.createDocumentFragment();
+
+        // Header
+        const header = this.createElement('header', 'product-detail-header');
+        const title = this.createElement('h2', '', localize(product.title));
+        title.id = 'productDetailTitle';
+        header.appendChild(title);
+        header.appendChild(this.createElement('p', 'product-detail-series', localize(product.series)));
+        fragment.appendChild(header);
+
+        // Overview (feature list)
+        const overview = this.createSection(i18n.t('products.detail.overview'));
+        overview.appendChild(this.createList(localize(product.features)));
+        fragment.appendChild(overview);
+
+        // Specifications
+        if (product.specs && product.specs.length > 0) {
+            const specsSection = this.createSection(i18n.t('products.detail.specifications'));
+            const table = this.createElement('table', 'product-specs');
+            const tbody = document.createElement('tbody');
+
+            product.specs.forEach(spec => {
+                const row = document.createElement('tr');
+                const label = ProductCatalog.specLabels[spec.key];
+                row.appendChild(this.createElement('th', '', label ? localize(label) : spec.key));
+                row.appendChild(this.createElement('td', '', localize(spec.value)));
+                tbody.appendChild(row);
+            });
+
+            table.appendChild(tbody);
+            specsSection.appendChild(table);
+            fragment.appendChild(specsSection);
+        }
+
+        // Applications
+        const applications = localize(product.applications);
+        if (applications && applications.length > 0) {
+            const applicationsSection = this.createSection(i18n.t('products.detail.applications'));
+            applicationsSection.appendChild(this.createList(applications));
+            fragment.appendChild(applicationsSection);
+        }
+
+        // Documents: links to the manufacturers' pages (website, datasheet, brochure or manual), opened in a new tab
+        const documentsSection = this.createSection(i18n.t('products.detail.documents'));
+        if (product.documents && product.documents.length > 0) {
+            const list = this.createElement('ul', 'product-documents');
+            product.documents.forEach(doc => {
+                const item = document.createElement('li');
+                const link = this.createElement('a', `document-${doc.type}`, localize(doc.title) || doc.url);
+                link.href = doc.url;
+                link.target = '_blank';
+                link.rel = 'noopener noreferrer';
+                item.appendChild(this.createElement('span', 'document-type', i18n.t(`products.detail.documentTypes.${doc.type}`)));
+                item.appendChild(link);
+                list.appendChild(item);
+            });
+            documentsSection.appendChild(list);
+        } else {
+            documentsSection.appendChild(this.createElement('p', '', i18n.t('products.detail.noDocuments')));
+        }
+        fragment.appendChild(documentsSection);
+
+        // Partner info
+        const partner = ProductCatalog.getPartner(product);
+        if (partner) {
+            const partnerSection = this.createSection(i18n.t('products.detail.partner'));
+            partnerSection.classList.add('product-detail-partner');
+
+            const logo = document.createElement('img');
+            logo.src = partner.logo;
+            logo.alt = partner.name;
+            logo.loading = 'lazy';
+            partnerSection.appendChild(logo);
+
+            partnerSection.appendChild(this.createElement('strong', '', partner.name));
+            partnerSection.appendChild(this.createElement('p', '', localize(partner.description)));
+
+            const website = this.createElement('a', '', i18n.t('products.detail.visitPartner'));
+            website.href = partner.website;
+            website.target = '_blank';
+            website.rel = 'noopener noreferrer';
+            partnerSection.appendChild(website);
+
+            fragment.appendChild(partnerSection);
+        }
+
+        // Call to action: add to the quote cart (or preselect in the inquiry form)
+        const inquire = this.createElement('a', 'cta-button product-detail-inquire', i18n.t('products.detail.inquire'));
+        inquire.href = '#contact';
+        inquire.addEventListener('click', (event) => {
+            const select = document.getElementById('inquiryProduct');
+            if (typeof QuoteCart !== 'undefined') {
+                if (!QuoteCart.has(product.id)) {
+                    QuoteCart.add(product.id);
+                }
+            } else if (select && product.inquiryValue) {
+                select.value = product.inquiryValue;
+            }
+            this.close({ updateUrl: false });
+            handleNavLinkClick(event);
+        });
+        fragment.appendChild(inquire);
+
+        return fragment;
+    },
+
+    /**
+     * Keyboard handling: Escape closes, Tab stays inside the dialog
+     */
+    handleKeydown: function(event) {
+        if (!this.currentId || !this.overlay) return;
+
+        if (event.key === 'Escape') {
+            this.close();
+            return;
+        }
+
+        if (event.key === 'Tab') {
+            const focusable = this.overlay.querySelectorAll('button, a[href]');
+            if (focusable.length === 0) return;
+
+            const first = focusable[0];
+            const last = focusable[focusable.length - 1];
+
+            if (event.shiftKey && document.activeElement === first) {
+                event.preventDefault();
+                last.focus();
+            } else if (!event.shiftKey && document.activeElement === last) {
+                event.preventDefault();
+                first.focus();
+            }
+        }
+    },
+
+    /**
+     * Helpers for building DOM nodes
+     */
+    createElement: function(tag, className, text) {
+        const element = document.createElement(tag);
+        if (className) element.className = className;
+        if (text !== undefined) element.textContent = text;
+        return element;
+    },
+
+    createSection: function(heading) {
+        const section = this.createElement('section', 'product-detail-section');
+        section.appendChild(this.createElement('h3', '', heading));
+        return section;
+    },
+
+    createList: function(items) {
+        const list = document.createElement('ul');
+        (items || []).forEach(text => {
+            list.appendChild(this.createElement('li', '', text));
+        });
+        return list;
+    }
+};
+
+// Export for use in other scripts
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ProductDetail;
+}
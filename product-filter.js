@@ -0,0 +1,462 @@
+/**
+ * Faceted Product Filter for Vu Anh Website
+ * Combines facet chips (manufacturer, category, application) with the text search
+ * (see product-search.js) and keeps the filter state in the URL query string
+ */
+
+const ProductFilter = {
+    groups: ['partner', 'category', 'application'],
+    selected: {},
+    ready: false,
+
+    // "No results" is reported once the query has settled (not per keystroke), and once per query
+    noResultsDelay: 1500,
+    noResultsTimer: null,
+    lastNoResultsQuery: null,
+
+    /**
+     * Initialize filter from the URL and render facet chips
+     */
+    init: function() {
+        if (!ProductCatalog.loaded) return;
+
+        ProductSearch.buildIndex();
+        this.readStateFromUrl();
+        this.ready = true;
+        this.render();
+
+        // Back/forward across shared filter URLs
+        window.addEventListener('popstate', () => {
+            this.readStateFromUrl();
+            this.apply({ updateUrl: false });
+        });
+
+        console.log('[ProductFilter] Initialized');
+    },
+
+    /**
+     * Read query and facet selections from URL (?q=&partner=emco,klay&...)
+     */
+    readStateFromUrl: function() {
+        const urlParams = new URLSearchParams(window.location.search);
+
+        this.groups.forEach(group => {
+            const values = (urlParams.get(group) || '').split(',').filter(Boolean);
+            this.selected[group] = new Set(values.filter(value => this.getGroupValues(group).includes(value)));
+        });
+
+        const filterInput = document.getElementById('productFilter');
+        if (filterInput) {
+            filterInput.value = urlParams.get('q') || '';
+        }
+    },
+
+    /**
+     * Write query and facet selections to the URL without adding history entries
+     */
+    writeStateToUrl: function() {
+        if (!history.replaceState) return;
+
+        const url = new URL(window.location);
+        const query = this.getQuery();
+
+        if (query) {
+            url.searchParams.set('q', query);
+        } else {
+            url.searchParams.delete('q');
+        }
+
+        this.groups.forEach(group => {
+            if (this.selected[group].size > 0) {
+                url.searchParams.set(group, Array.from(this.selected[group]).join(','));
+            } else {
+                url.searchParams.delete(group);
+            }
+        });
+
+        history.replaceState(history.state, '', url);
+    },
+
+    /**
+     * Get raw search text
+     */
+    getQuery: function() {
+        const filterInput = document.getElementById('productFilter');
+        return filterInput ? filterInput.value.trim() : '';
+    },
+
+    /**
+     * All values available in a facet group, in display order
+     */
+    getGroupValues: function(group) {
+        if (group === 'partner') {
+            return Object.keys(ProductCatalog.partners);
+        }
+        const definition = ProductCatalog.facets[group];
+        return definition && definition.values ? Object.keys(definition.values) : [];
+    },
+
+    /**
+     * Localized label for a facet value
+     */
+    getValueLabel: function(group, value) {
+        if (group === 'partner') {
+            const partner = ProductCatalog.partners[value];
+            return partner ? partner.shortName : value;
+        }
+        return ProductCatalog.localize(ProductCatalog.facets[group].values[value]);
+    },
+
+    /**
+     * Facet match: OR within a group, AND across groups
+     * @param {string} skipGroup - Group to ignore (used for per-facet counts)
+     */
+    matchesFacets: function(product, skipGroup = null) {
+        return this.groups.every(group => {
+            if (group === skipGroup || this.selected[group].size === 0) return true;
+            return ProductCatalog.getFacetValues(product, group)
+                .some(value => this.selected[group].has(value));
+        });
+    },
+
+    /**
+     * Show/hide cards, rank and highlight them, refresh counts and URL
+     * The query is only matched against the index and highlighted through
+     * text nodes, so it is never inserted as HTML
+     */
+    apply: function(options = {}) {
+        const { updateUrl = true } = options;
+        if (!this.ready) return;
+
+        const query = this.getQuery();
+        const textMatches = ProductSearch.search(query);
+        let visibleCount = 0;
+
+        document.querySelectorAll('#productGrid .product-card').forEach(card => {
+            const product = ProductCatalog.getProduct(card.getAttribute('data-product-id'));
+            if (!product) return;
+
+            const visible = textMatches.has(product.id) && this.matchesFacets(product);
+            card.classList.toggle('hidden', !visible);
+            if (visible) visibleCount++;
+
+            card.querySelectorAll('.product-header, .product-body ul').forEach(element => {
+                ProductSearch.highlight(element, visible ? query : '');
+            });
+        });
+
+        this.sortCards(query ? Array.from(textMatches.keys()) : null);
+        this.updateCounts(textMatches);
+        this.updateSummary(visibleCount);
+        this.updateEmptyState(visibleCount, query);
+
+        if (updateUrl) {
+            this.writeStateToUrl();
+        }
+    },
+
+    /**
+     * Order cards by relevance, or by catalog order when there is no query
+     * @param {Array|null} rankedIds - Product ids, best match first
+     */
+    sortCards: function(rankedIds) {
+        const grid = document.getElementById('productGrid');
+        if (!grid) return;
+
+        const order = rankedIds || ProductCatalog.products.map(product => product.id);
+        const position = (card) => {
+            const index = order.indexOf(card.getAttribute('data-product-id'));
+            return index === -1 ? order.length : index;
+        };
+
+        Array.from(grid.querySelectorAll('.product-card'))
+            .sort((a, b) => position(a) - position(b))
+            .forEach(card => grid.appendChild(card));
+    },
+
+    /**
+     * Toggle a facet value and re-apply
+     */
+    toggle: function(group, value) {
+        if (this.selected[group].has(value)) {
+            this.selected[group].delete(value);
+        } else {
+            this.selected[group].add(value);
+        }
+
+        this.updateChipStates();
+        this.apply();
+
+        if (typeof Analytics !== 'undefined') {
+            Analytics.trackEvent('Product Filter', 'Facet', `${group}:${value}`);
+        }
+    },
+
+    /**
+     * Clear all facet selections (search text is kept)
+     */
+    clearFacets: function() {
+        this.groups.forEach(group => this.selected[group].clear());
+        this.updateChipStates();
+        this.apply();
+    },
+
+    hasActiveFacets: function() {
+        return this.groups.some(group => this.selected[group].size > 0);
+    },
+
+    /**
+     * Render facet chips (also called after a language switch)
+     */
+    render: function() {
+        if (!this.ready) return;
+
+        const container = document.getElementById('productFacets');
+        if (!container) return;
+
+        container.innerHTML = '';
+
+        this.groups.forEach(group => {
+            const values = this.getGroupValues(group);
+            if (values.length === 0) return;
+
+            const groupElement = document.createElement('div');
+            groupElement.className = 'facet-group';
+            groupElement.setAttribute('role', 'group');
+            groupElement.setAttribute('aria-labelledby', `facet-label-${group}`);
+
+            const label = document.createElement('span');
+            label.className = 'facet-label';
+            label.id = `facet-label-${group}`;
+            label.textContent = ProductCatalog.localize(ProductCatalog.facets[group]?.label) || group;
+            groupElement.appendChild(label);
+
+            values.forEach(value => {
+                const chip = document.createElement('button');
+                chip.type = 'button';
+                chip.className = 'facet-chip';
+                chip.setAttribute('data-facet', group);
+                chip.setAttribute('data-value', value);
+
+                const text = document.createElement('span');
+                text.textContent = this.getValueLabel(group, value);
+                chip.appendChild(text);
+
+                const count = document.createElement('span');
+                count.className = 'facet-count';
+                chip.appendChild(count);
+
+                chip.addEventListener('click', () => this.toggle(group, value));
+                groupElement.appendChild(chip);
+            });
+
+            container.appendChild(groupElement);
+        });
+
+        const clearButton = document.createElement('button');
+        clearButton.type = 'button';
+        clearButton.className = 'facet-clear';
+        clearButton.textContent = i18n.t('products.facets.clear');
+        clearButton.addEventListener('click', () => this.clearFacets());
+        container.appendChild(clearButton);
+
+        this.updateChipStates();
+        this.apply({ updateUrl: false });
+    },
+
+    /**
+     * Sync aria-pressed/active state of chips with the selection
+     */
+    updateChipStates: function() {
+        document.querySelectorAll('.facet-chip').forEach(chip => {
+            const group = chip.getAttribute('data-facet');
+            const active = this.selected[group].has(chip.getAttribute('data-value'));
+            chip.classList.toggle('active', active);
+            chip.setAttribute('aria-pressed', active.toString());
+        });
+
+        const clearButton = document.querySelector('.facet-clear');
+        if (clearButton) {
+            clearButton.hidden = !this.hasActiveFacets();
+        }
+    },
+
+    /**
+     * Per-facet result counts: products matching the text search and the
+     * selections of the other groups
+     */
+    updateCounts: function(textMatches) {
+        document.querySelectorAll('.facet-chip').forEach(chip => {
+            const group = chip.getAttribute('data-facet');
+            const value = chip.getAttribute('data-value');
+
+            const count = ProductCatalog.products.filter(product =>
+                textMatches.has(product.id) &&
+                this.matchesFacets(product, group) &&
+                ProductCatalog.getFacetValues(product, group).includes(value)
+            ).length;
+
+            chip.querySelector('.facet-count').textContent = count;
+            chip.disabled = count === 0 && !this.selected[group].has(value);
+        });
+    },
+
+    /**
+     * Update visible result summary for screen readers and sighted users
+     */
+    updateSummary: function(visibleCount) {
+        const summary = document.getElementById('productResultCount');
+        if (!summary) return;
+
+        summary.textContent = i18n.t('products.facets.resultCount', {
+            count: visibleCount,
+            total: ProductCatalog.products.length
+        });
+    },
+
+    /**
+     * Show a localized "no results" panel with suggestions, a reset button
+     * and a shortcut to ask about the searched product
+     */
+    updateEmptyState: function(visibleCount, query) {
+        const container = document.getElementById('productEmptyState');
+        if (!container) return;
+
+        if (visibleCount > 0) {
+            clearTimeout(this.noResultsTimer);
+            container.hidden = true;
+            container.innerHTML = '';
+            return;
+        }
+
+        container.innerHTML = '';
+
+        const title = document.createElement('h3');
+        title.textContent = i18n.t('products.empty.title');
+        container.appendChild(title);
+
+        const message = document.createElement('p');
+        message.textContent = query
+            ? i18n.t('products.empty.message', { query })
+            : i18n.t('products.empty.messageFacets');
+        container.appendChild(message);
+
+        // Close product names
+        const suggestions = ProductSearch.suggest(query);
+        if (suggestions.length > 0) {
+            const suggestionLine = document.createElement('p');
+            suggestionLine.className = 'empty-suggestions';
+            suggestionLine.textContent = `${i18n.t('products.empty.suggestions')} `;
+
+            suggestions.forEach(id => {
+                const product = ProductCatalog.getProduct(id);
+                const button = document.createElement('button');
+                button.type = 'button';
+                button.className = 'empty-suggestion';
+                button.textContent = ProductCatalog.localize(product.name);
+                button.addEventListener('click', () => this.applySuggestion(product));
+                suggestionLine.appendChild(button);
+            });
+
+            container.appendChild(suggestionLine);
+        }
+
+        const actions = document.createElement('div');
+        actions.className = 'empty-actions';
+
+        const clearButton = document.createElement('button');
+        clearButton.type = 'button';
+        clearButton.className = 'empty-clear';
+        clearButton.textContent = i18n.t('products.empty.clear');
+        clearButton.addEventListener('click', () => this.reset());
+        actions.appendChild(clearButton);
+
+        if (query) {
+            const askButton = document.createElement('button');
+            askButton.type = 'button';
+            askButton.className = 'empty-ask';
+            askButton.textContent = i18n.t('products.empty.ask');
+            askButton.addEventListener('click', () => this.askAbout(query));
+            actions.appendChild(askButton);
+        }
+
+        container.appendChild(actions);
+        container.hidden = false;
+        this.reportNoResults(query);
+    },
+
+    /**
+     * Track a search without results after noResultsDelay without further typing
+     */
+    reportNoResults: function(query) {
+        clearTimeout(this.noResultsTimer);
+        if (typeof Analytics === 'undefined' || !query || query === this.lastNoResultsQuery) return;
+
+        this.noResultsTimer = setTimeout(() => {
+            this.lastNoResultsQuery = query;
+            Analytics.trackEvent('Product Filter', 'No Results', query.substring(0, 30));
+        }, this.noResultsDelay);
+    },
+
+    /**
+     * Search for a suggested product name
+     */
+    applySuggestion: function(product) {
+        const filterInput = document.getElementById('productFilter');
+        if (!filterInput) return;
+
+        filterInput.value = ProductCatalog.localize(product.name);
+        this.groups.forEach(group => this.selected[group].clear());
+        this.updateChipStates();
+        this.apply();
+    },
+
+    /**
+     * Clear search text and all facets
+     */
+    reset: function() {
+        const filterInput = document.getElementById('productFilter');
+        if (filterInput) {
+            filterInput.value = '';
+        }
+        this.clearFacets();
+        if (filterInput) {
+            filterInput.focus();
+        }
+    },
+
+    /**
+     * Prefill the inquiry form with the search term and jump to it
+     */
+    askAbout: function(query) {
+        const select = document.getElementById('inquiryProduct');
+        if (select) {
+            select.value = 'other';
+        }
+
+        const messageField = document.getElementById('inquiryMessage');
+        if (messageField) {
+            const text = i18n.t('products.empty.askMessage', { query });
+            messageField.value = messageField.value.trim()
+                ? `${messageField.value.trim()}\n\n${text}`
+                : text;
+        }
+
+        smoothScrollWithOffset('#contact');
+        if (history.pushState) {
+            history.pushState(null, null, '#contact');
+        }
+        if (messageField) {
+            messageField.focus({ preventScroll: true });
+        }
+
+        if (typeof Analytics !== 'undefined') {
+            Analytics.trackEvent('Product Filter', 'Ask About', query.substring(0, 30));
+        }
+    }
+};
+
+// Export for use in other scripts
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ProductFilter;
+}
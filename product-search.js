@@ -0,0 +1,413 @@
+/**
+ * Product Search Index for Vu Anh Website
+ * Multilingual, accent-insensitive and typo-tolerant search over the catalog
+ */
+
+const ProductSearch = {
+    index: [],
+
+    // Relative importance of each indexed field
+    fieldWeights: {
+        title: 5,
+        name: 4,
+        keywords: 3,
+        series: 3,
+        partner: 2,
+        facets: 2,
+        features: 1,
+        specs: 1,
+        applications: 1
+    },
+
+    // Score multipliers per match type
+    matchScores: {
+        exact: 1,
+        prefix: 0.8,
+        infix: 0.6,
+        fuzzy1: 0.4,
+        fuzzy2: 0.3
+    },
+
+    /**
+     * Normalize text for matching: lowercase, strip diacritics (ệ → e, đ → d),
+     * turn punctuation into spaces. CJK characters are kept as they are (デ, 한).
+     */
+    normalize: function(text) {
+        return this.normalizeWithMap(text).normalized.replace(/\s+/g, ' ').trim();
+    },
+
+    /**
+     * Normalize character by character, keeping a map from each normalized
+     * character back to its index in the original text (used for highlighting)
+     */
+    normalizeWithMap: function(text) {
+        let normalized = '';
+        const map = [];
+        const source = String(text || '');
+
+        for (let i = 0; i < source.length; i++) {
+            const folded = this.foldChar(source[i]);
+            for (let j = 0; j < folded.length; j++) {
+                normalized += folded[j];
+                map.push(i);
+            }
+        }
+
+        return { normalized, map };
+    },
+
+    /**
+     * Only Latin accents (U+0300–U+036F) are stripped; NFC then recomposes what NFD split apart
+     * elsewhere, so kana with dakuten (デ = テ + U+3099) and Hangul syllables (jamo) stay whole
+     */
+    foldChar: function(char) {
+        const folded = char
+            .normalize('NFD')
+            .replace(/[\u0300-\u036f]/g, '')
+            .normalize('NFC')
+            .toLowerCase()
+            .replace(/đ/g, 'd');
+        return /^[\p{L}\p{N}]*$/u.test(folded) ? folded : ' ';
+    },
+
+    /**
+     * Split a normalized string into tokens
+     */
+    tokenize: function(normalized) {
+        return normalized.split(' ').filter(Boolean);
+    },
+
+    isCJK: function(term) {
+        return /[\u3040-\u30ff\u3400-\u9fff\uac00-\ud7af]/.test(term);
+    },
+
+    /**
+     * Build the index from catalog products, in every language of the dataset
+     */
+    buildIndex: function(products = ProductCatalog.products) {
+        const allValues = (value) => {
+            if (value === null || value === undefined) return [];
+            if (typeof value !== 'object') return [value];
+            if (Array.isArray(value)) return value.flatMap(allValues);
+            return Object.values(value).flatMap(allValues);
+        };
+
+        this.index = products.map(product => {
+            const partner = ProductCatalog.getPartner(product);
+            const facetLabels = Object.keys(product.facets || {}).flatMap(group =>
+                ProductCatalog.getFacetValues(product, group).flatMap(value =>
+                    allValues(ProductCatalog.facets[group]?.values?.[value])
+                )
+            );
+
+            const sources = {
+                title: allValues(product.title),
+                name: allValues(product.name),
+                keywords: allValues(product.keywords),
+                series: allValues(product.series),
+                partner: partner ? [partner.name, partner.shortName] : [],
+                facets: facetLabels,
+                features: allValues(product.features),
+                specs: (product.specs || []).flatMap(spec => allValues(spec.value)),
+                applications: allValues(product.applications)
+            };
+
+            const fields = Object.keys(sources).map(field => {
+                const text = this.normalize(sources[field].join(' '));
+                return {
+                    weight: this.fieldWeights[field],
+                    text,
+                    tokens: Array.from(new Set(this.tokenize(text)))
+                };
+            });
+
+            return { id: product.id, fields };
+        });
+
+        return this.index;
+    },
+
+    /**
+     * Parse a raw query into normalized terms
+     */
+    parseQuery: function(query) {
+        const terms = Array.from(new Set(this.tokenize(this.normalize(query))));
+
+        // Drop single Latin letters (e.g. from "R&D") when longer terms exist
+        const meaningful = terms.filter(term => term.length > 1 || this.isCJK(term));
+        return meaningful.length > 0 ? meaningful : terms;
+    },
+
+    /**
+     * Search the index
+     * Every term must match (AND); products are ranked by summed term scores
+     * @returns {Map} - product id → score, in descending score order
+     */
+    search: function(query) {
+        const terms = this.parseQuery(query);
+        const results = [];
+
+        this.index.forEach(entry => {
+            let total = 0;
+
+            for (const term of terms) {
+                const score = this.scoreTerm(entry, term);
+                if (score === 0) return; // AND semantics
+                total += score;
+            }
+
+            results.push({ id: entry.id, score: total });
+        });
+
+        results.sort((a, b) => b.score - a.score);
+        return new Map(results.map(result => [result.id, result.score]));
+    },
+
+    /**
+     * Best score of a term over all fields of an entry
+     */
+    scoreTerm: function(entry, term) {
+        let best = 0;
+
+        entry.fields.forEach(field => {
+            const quality = this.matchQuality(field, term);
+            best = Math.max(best, quality * field.weight);
+        });
+
+        return best;
+    },
+
+    /**
+     * How well a term matches a field (0 = no match)
+     */
+    matchQuality: function(field, term) {
+        const scores = this.matchScores;
+        let best = 0;
+
+        for (const token of field.tokens) {
+            if (token === term) return scores.exact;
+            if (token.startsWith(term)) {
+                best = Math.max(best, scores.prefix);
+            }
+        }
+        if (best > 0) return best;
+
+        // Infix match: always for CJK (no word boundaries), otherwise 3+ characters
+        if ((this.isCJK(term) || term.length >= 3) && field.text.includes(term)) {
+            return scores.infix;
+        }
+
+        // Typo tolerance for longer Latin terms
+        const maxDistance = this.maxDistance(term);
+        if (maxDistance > 0) {
+            for (const token of field.tokens) {
+                const distance = this.fuzzyDistance(term, token, maxDistance);
+                if (distance > maxDistance) continue;
+                best = Math.max(best, distance <= 1 ? scores.fuzzy1 : scores.fuzzy2);
+            }
+        }
+
+        return best;
+    },
+
+    /**
+     * Allowed edit distance for a term
+     */
+    maxDistance: function(term) {
+        if (this.isCJK(term) || term.length < 4) return 0;
+        return term.length < 8 ? 1 : 2;
+    },
+
+    /**
+     * Smallest distance between a term and a prefix of a token, so that
+     * partially typed words with a typo still match ("moistru" → "moisture")
+     */
+    fuzzyDistance: function(term, token, max) {
+        let best = max + 1;
+        const shortest = Math.max(1, term.length - max);
+        const longest = Math.min(token.length, term.length + max);
+
+        for (let length = shortest; length <= longest; length++) {
+            best = Math.min(best, this.distance(term, token.slice(0, length), max));
+            if (best === 0) break;
+        }
+
+        return best;
+    },
+
+    /**
+     * Damerau-Levenshtein (optimal string alignment) distance with early exit
+     * Returns max + 1 when the distance exceeds max
+     */
+    distance: function(a, b, max) {
+        if (Math.abs(a.length - b.length) > max) return max + 1;
+
+        const rows = [];
+        for (let i = 0; i <= a.length; i++) {
+            rows[i] = [i];
+        }
+        for (let j = 0; j <= b.length; j++) {
+            rows[0][j] = j;
+        }
+
+        for (let i = 1; i <= a.length; i++) {
+            let rowMin = Infinity;
+            for (let j = 1; j <= b.length; j++) {
+                const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+                let value = Math.min(
+                    rows[i - 1][j] + 1,
+                    rows[i][j - 1] + 1,
+                    rows[i - 1][j - 1] + cost
+                );
+                if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+                    value = Math.min(value, rows[i - 2][j - 2] + 1);
+                }
+                rows[i][j] = value;
+                rowMin = Math.min(rowMin, value);
+            }
+            if (rowMin > max) return max + 1;
+        }
+
+        return Math.min(rows[a.length][b.length], max + 1);
+    },
+
+    /**
+     * Suggest products whose names are close to the query ("did you mean")
+     * Compares query terms with name/title words in every language
+     * @returns {Array} - Product ids, most similar first
+     */
+    suggest: function(query, limit = 3) {
+        const terms = this.parseQuery(query);
+        if (terms.length === 0) return [];
+
+        const similarity = (a, b) => {
+            const longest = Math.max(a.length, b.length);
+            return 1 - this.distance(a, b, longest) / longest;
+        };
+
+        const scored = ProductCatalog.products.map(product => {
+            const words = this.tokenize(this.normalize([
+                ...Object.values(product.name || {}),
+                ...Object.values(product.title || {})
+            ].join(' ')));
+
+            // Best-matching term wins, so one stray word doesn't hide a close name
+            const score = terms.reduce((best, term) => {
+                return words.reduce((max, word) => {
+                    const candidate = this.isCJK(term) && word.includes(term) ? 1 : similarity(term, word);
+                    return Math.max(max, candidate);
+                }, best);
+            }, 0);
+
+            return { id: product.id, score };
+        });
+
+        return scored
+            .filter(result => result.score >= 0.6)
+            .sort((a, b) => b.score - a.score)
+            .slice(0, limit)
+            .map(result => result.id);
+    },
+
+    /**
+     * Find ranges of the original text matching any of the terms
+     * @returns {Array} - [[start, end], ...] sorted and merged
+     */
+    findRanges: function(text, terms) {
+        const { normalized, map } = this.normalizeWithMap(text);
+        const ranges = [];
+
+        terms.forEach(term => {
+            // Direct occurrences (prefix/infix/exact)
+            let position = normalized.indexOf(term);
+            while (position !== -1) {
+                ranges.push([position, position + term.length]);
+                position = normalized.indexOf(term, position + term.length);
+            }
+
+            // Fuzzy matches on whole tokens
+            const maxDistance = this.maxDistance(term);
+            if (maxDistance > 0) {
+                const tokenPattern = /[^\s]+/g;
+                let match;
+                while ((match = tokenPattern.exec(normalized)) !== null) {
+                    if (this.fuzzyDistance(term, match[0], maxDistance) <= maxDistance) {
+                        ranges.push([match.index, match.index + match[0].length]);
+                    }
+                }
+            }
+        });
+
+        ranges.sort((a, b) => a[0] - b[0]);
+
+        const merged = [];
+        ranges.forEach(range => {
+            const last = merged[merged.length - 1];
+            if (last && range[0] <= last[1]) {
+                last[1] = Math.max(last[1], range[1]);
+            } else {
+                merged.push(range.slice());
+            }
+        });
+
+        // Map back to positions in the original text
+        return merged.map(([start, end]) => [map[start], map[end - 1] + 1]);
+    },
+
+    /**
+     * Wrap matches of the query in <mark> inside an element (text nodes only)
+     */
+    highlight: function(root, query) {
+        this.clearHighlights(root);
+
+        const terms = this.parseQuery(query);
+        if (terms.length === 0) return;
+
+        const walker = document.createTreeWalker(root, NodeFilter.SHOW_TEXT);
+        const textNodes = [];
+        while (walker.nextNode()) {
+            textNodes.push(walker.currentNode);
+        }
+
+        textNodes.forEach(node => {
+            const text = node.nodeValue;
+            const ranges = this.findRanges(text, terms);
+            if (ranges.length === 0) return;
+
+            const fragment = document.createDocumentFragment();
+            let cursor = 0;
+
+            ranges.forEach(([start, end]) => {
+                if (start > cursor) {
+                    fragment.appendChild(document.createTextNode(text.slice(cursor, start)));
+                }
+                const mark = document.createElement('mark');
+                mark.className = 'search-hit';
+                mark.textContent = text.slice(start, end);
+                fragment.appendChild(mark);
+                cursor = end;
+            });
+
+            if (cursor < text.length) {
+                fragment.appendChild(document.createTextNode(text.slice(cursor)));
+            }
+
+            node.parentNode.replaceChild(fragment, node);
+        });
+    },
+
+    /**
+     * Remove previous highlights
+     */
+    clearHighlights: function(root) {
+        root.querySelectorAll('mark.search-hit').forEach(mark => {
+            mark.replaceWith(document.createTextNode(mark.textContent));
+        });
+        root.normalize();
+    }
+};
+
+// Export for use in other scripts
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ProductSearch;
+}
@@ -6,6 +6,14 @@
 const PWAPrompt = {
     deferredPrompt: null,
     promptShown: false,
+    iosShareIcon: '<svg width="16" height="16" viewBox="0 0 16 16" fill="currentColor" style="vertical-align: middle;" aria-hidden="true"><path d="M8 0L4 4h2.5v5h3V4H12L8 0z"/><path d="M14 13v-8h-2v8H4V5H2v8a2 2 0 002 2h8a2 2 0 002-2z"/></svg>',
+    
+    // Translation keys of each banner's texts (by banner id, then selector)
+    bannerTexts: {
+        pwaPrompt: { h3: 'pwa.install.title', p: 'pwa.install.message', '#pwaInstallBtn': 'pwa.install.accept', '#pwaDismissBtn': 'pwa.install.dismiss' },
+        iosPrompt: { h3: 'pwa.ios.title', p: 'pwa.ios.message', '#iosDismissBtn': 'pwa.ios.dismiss' },
+        updatePrompt: { h3: 'pwa.update.title', p: 'pwa.update.message', '#updateInstallBtn': 'pwa.update.accept', '#updateDismissBtn': 'pwa.update.dismiss' }
+    },
     
     /**
      * Initialize PWA prompt
@@ -23,6 +31,9 @@ const PWAPrompt = {
         // Setup iOS prompt (iOS doesn't support beforeinstallprompt)
         this.setupiOSPrompt();
         
+        // Banners already on screen follow the language switcher
+        i18n.onChange(() => this.refreshLanguage());
+        
         console.log('[PWA] Initialized');
     },
     
@@ -129,12 +140,12 @@ const PWAPrompt = {
             <div class="pwa-install-prompt" id="pwaPrompt">
                 <div class="pwa-prompt-content">
                     <div class="pwa-prompt-text">
-                        <h3>📱 Install Vu Anh App</h3>
-                        <p>Get quick access to products and send inquiries offline!</p>
+                        <h3>${i18n.t('pwa.install.title')}</h3>
+                        <p>${i18n.t('pwa.install.message')}</p>
                     </div>
                     <div class="pwa-prompt-actions">
-                        <button class="pwa-install-btn" id="pwaInstallBtn">Install</button>
-                        <button class="pwa-dismiss-btn" id="pwaDismissBtn">Not Now</button>
+                        <button class="pwa-install-btn" id="pwaInstallBtn">${i18n.t('pwa.install.accept')}</button>
+                        <button class="pwa-dismiss-btn" id="pwaDismissBtn">${i18n.t('pwa.install.dismiss')}</button>
                     </div>
                 </div>
             </div>
@@ -258,17 +269,18 @@ const PWAPrompt = {
             <div class="pwa-install-prompt" id="iosPrompt">
                 <div class="pwa-prompt-content">
                     <div class="pwa-prompt-text">
-                        <h3>📱 Install on iOS</h3>
-                        <p>Tap the Share button <svg width="16" height="16" viewBox="0 0 16 16" fill="currentColor" style="vertical-align: middle;"><path d="M8 0L4 4h2.5v5h3V4H12L8 0z"/><path d="M14 13v-8h-2v8H4V5H2v8a2 2 0 002 2h8a2 2 0 002-2z"/></svg> and "Add to Home Screen"</p>
+                        <h3>${i18n.t('pwa.ios.title')}</h3>
+                        <p></p>
                     </div>
                     <div class="pwa-prompt-actions">
-                        <button class="pwa-dismiss-btn" id="iosDismissBtn">Got it</button>
+                        <button class="pwa-dismiss-btn" id="iosDismissBtn">${i18n.t('pwa.ios.dismiss')}</button>
                     </div>
                 </div>
             </div>
         `;
         
         document.body.insertAdjacentHTML('beforeend', promptHTML);
+        this.renderIosMessage(document.querySelector('#iosPrompt p'));
         
         setTimeout(() => {
             document.getElementById('iosPrompt').classList.add('show');
@@ -291,6 +303,36 @@ const PWAPrompt = {
         Analytics.trackEvent('PWA', 'iOS Prompt Shown', 'Custom Instructions');
     },
     
+    /**
+     * iOS instructions: the translation as text, with the share icon where {icon} stands
+     */
+    renderIosMessage: function(element) {
+        const [before, after = ''] = i18n.t('pwa.ios.message', { icon: '\u0000' }).split('\u0000');
+        const icon = document.createElement('template');
+        icon.innerHTML = this.iosShareIcon;
+        element.replaceChildren(document.createTextNode(before), icon.content, document.createTextNode(after));
+    },
+    
+    /**
+     * Re-translate the banners currently on screen
+     */
+    refreshLanguage: function() {
+        Object.keys(this.bannerTexts).forEach(id => {
+            const banner = document.getElementById(id);
+            if (!banner) return;
+            
+            Object.entries(this.bannerTexts[id]).forEach(([selector, key]) => {
+                const element = banner.querySelector(selector);
+                if (!element) return;
+                if (key === 'pwa.ios.message') {
+                    this.renderIosMessage(element);
+                } else {
+                    element.textContent = i18n.t(key);
+                }
+            });
+        });
+    },
+    
     /**
      * Show update notification when new version is available
      */
@@ -299,12 +341,12 @@ const PWAPrompt = {
             <div class="pwa-install-prompt show" id="updatePrompt">
                 <div class="pwa-prompt-content">
                     <div class="pwa-prompt-text">
-                        <h3>🎉 Update Available</h3>
-                        <p>A new version of Vu Anh app is ready to install.</p>
+                        <h3>${i18n.t('pwa.update.title')}</h3>
+                        <p>${i18n.t('pwa.update.message')}</p>
                     </div>
                     <div class="pwa-prompt-actions">
-                        <button class="pwa-install-btn" id="updateInstallBtn">Update Now</button>
-                        <button class="pwa-dismiss-btn" id="updateDismissBtn">Later</button>
+                        <button class="pwa-install-btn" id="updateInstallBtn">${i18n.t('pwa.update.accept')}</button>
+                        <button class="pwa-dismiss-btn" id="updateDismissBtn">${i18n.t('pwa.update.dismiss')}</button>
                     </div>
                 </div>
             </div>
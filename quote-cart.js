@@ -0,0 +1,286 @@
+/**
+ * Quote Request Cart for Vu Anh Website
+ * Collects several products (with quantity and notes) for one inquiry
+ * Persisted in localStorage so it survives reloads and offline use
+ */
+
+const QuoteCart = {
+    storageKey: 'vuanh_quote_cart',
+    maxItems: 20,
+    maxQuantity: 9999,
+    maxNotesLength: 200,
+    items: [],
+
+    /**
+     * Initialize cart from localStorage
+     */
+    init: function() {
+        if (!ProductCatalog.loaded) return;
+
+        this.load();
+        this.render();
+        console.log(`[QuoteCart] Initialized with ${this.items.length} items`);
+    },
+
+    /**
+     * Load cart from localStorage (drops products no longer in the catalog)
+     */
+    load: function() {
+        try {
+            const saved = JSON.parse(localStorage.getItem(this.storageKey) || '[]');
+            this.items = Array.isArray(saved)
+                ? saved
+                    .filter(item => item && ProductCatalog.getProduct(item.id))
+                    .map(item => ({
+                        id: String(item.id),
+                        quantity: this.normalizeQuantity(item.quantity),
+                        notes: String(item.notes || '').slice(0, this.maxNotesLength)
+                    }))
+                : [];
+        } catch (e) {
+            console.warn('[QuoteCart] Could not load cart');
+            this.items = [];
+        }
+    },
+
+    /**
+     * Save cart to localStorage
+     */
+    save: function() {
+        try {
+            localStorage.setItem(this.storageKey, JSON.stringify(this.items));
+        } catch (e) {
+            console.warn('[QuoteCart] Could not save cart');
+        }
+    },
+
+    normalizeQuantity: function(value) {
+        const quantity = parseInt(value, 10);
+        if (!Number.isFinite(quantity) || quantity < 1) return 1;
+        return Math.min(quantity, this.maxQuantity);
+    },
+
+    has: function(id) {
+        return this.items.some(item => item.id === id);
+    },
+
+    getItem: function(id) {
+        return this.items.find(item => item.id === id) || null;
+    },
+
+    /**
+     * Add a product (or bump its quantity if already in the cart)
+     */
+    add: function(id, quantity = 1) {
+        if (!ProductCatalog.getProduct(id)) return false;
+
+        const existing = this.getItem(id);
+        if (existing) {
+            existing.quantity = this.normalizeQuantity(existing.quantity + quantity);
+        } else {
+            if (this.items.length >= this.maxItems) return false;
+            this.items.push({ id, quantity: this.normalizeQuantity(quantity), notes: '' });
+        }
+
+        this.changed();
+
+        if (typeof Analytics !== 'undefined') {
+            Analytics.trackEvent('Quote Cart', 'Add', id);
+        }
+        return true;
+    },
+
+    remove: function(id) {
+        this.items = this.items.filter(item => item.id !== id);
+        this.changed();
+    },
+
+    toggle: function(id) {
+        if (this.has(id)) {
+            this.remove(id);
+        } else {
+            this.add(id);
+        }
+    },
+
+    /**
+     * Update quantity and/or notes of an item
+     */
+    update: function(id, changes) {
+        const item = this.getItem(id);
+        if (!item) return;
+
+        if (changes.quantity !== undefined) {
+            item.quantity = this.normalizeQuantity(changes.quantity);
+        }
+        if (changes.notes !== undefined) {
+            item.notes = String(changes.notes).slice(0, this.maxNotesLength);
+        }
+        this.save();
+    },
+
+    clear: function() {
+        this.items = [];
+        this.changed();
+    },
+
+    /**
+     * Persist and refresh UI after items were added or removed
+     */
+    changed: function() {
+        this.save();
+        this.render();
+    },
+
+    /**
+     * Structured items for a submission (notes as plain trimmed text)
+     * Names are in the default language so the sales team gets consistent names
+     * @returns {Array} - [{ id, name, quantity, notes }]
+     */
+    getPayloadItems: function() {
+        return this.items
+            .filter(item => ProductCatalog.getProduct(item.id))
+            .map(item => {
+                const product = ProductCatalog.getProduct(item.id);
+                return {
+                    id: item.id,
+                    name: ProductCatalog.localize(product.name, i18n.defaultLang),
+                    quantity: item.quantity,
+                    notes: item.notes.trim()
+                };
+            });
+    },
+
+    /**
+     * Multi-line plain text version of the items (one product per line)
+     * e.g. "1. EMCO DPM [emco-dpm] x 2 - Notes: with calibration kit"
+     */
+    formatItems: function(items) {
+        return items.map((item, index) => {
+            const line = `${index + 1}. ${item.name} [${item.id}] x ${item.quantity}`;
+            return item.notes ? `${line} - Notes: ${item.notes}` : line;
+        }).join('\n');
+    },
+
+    /**
+     * Build the "Add to quote" toggle for a product card
+     */
+    createToggleButton: function(product) {
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.className = 'quote-toggle';
+        button.setAttribute('data-quote-id', product.id);
+        button.addEventListener('click', () => this.toggle(product.id));
+        this.updateToggleButton(button);
+        return button;
+    },
+
+    updateToggleButton: function(button) {
+        const active = this.has(button.getAttribute('data-quote-id'));
+        button.classList.toggle('active', active);
+        button.setAttribute('aria-pressed', active.toString());
+        button.textContent = active
+            ? i18n.t('contact.form.cart.remove')
+            : i18n.t('contact.form.cart.add');
+    },
+
+    /**
+     * Render the cart panel in the inquiry form and refresh card buttons
+     */
+    render: function() {
+        document.querySelectorAll('.quote-toggle').forEach(button => this.updateToggleButton(button));
+
+        const container = document.getElementById('quoteCart');
+        if (!container) return;
+
+        container.innerHTML = '';
+        container.hidden = this.items.length === 0;
+        if (container.hidden) return;
+
+        const heading = document.createElement('p');
+        heading.className = 'quote-cart-title';
+        heading.id = 'quoteCartTitle';
+        heading.textContent = i18n.t('contact.form.cart.title', { count: this.items.length });
+        container.appendChild(heading);
+
+        const list = document.createElement('ul');
+        list.className = 'quote-cart-items';
+        list.setAttribute('aria-labelledby', 'quoteCartTitle');
+
+        this.items.forEach(item => {
+            const product = ProductCatalog.getProduct(item.id);
+            if (product) {
+                list.appendChild(this.createItemRow(item, product));
+            }
+        });
+        container.appendChild(list);
+
+        const hint = document.createElement('p');
+        hint.className = 'quote-cart-hint';
+        hint.textContent = i18n.t('contact.form.cart.hint');
+        container.appendChild(hint);
+    },
+
+    /**
+     * One cart line: name, quantity, notes and remove button
+     */
+    createItemRow: function(item, product) {
+        const row = document.createElement('li');
+        row.className = 'quote-cart-item';
+        const name = ProductCatalog.localize(product.name);
+
+        const title = document.createElement('strong');
+        title.textContent = name;
+        row.appendChild(title);
+
+        const quantityId = `quoteQty-${item.id}`;
+        const quantityLabel = document.createElement('label');
+        quantityLabel.htmlFor = quantityId;
+        quantityLabel.textContent = i18n.t('contact.form.cart.quantity');
+        row.appendChild(quantityLabel);
+
+        const quantity = document.createElement('input');
+        quantity.type = 'number';
+        quantity.id = quantityId;
+        quantity.min = '1';
+        quantity.max = String(this.maxQuantity);
+        quantity.value = item.quantity;
+        quantity.addEventListener('change', () => {
+            this.update(item.id, { quantity: quantity.value });
+            quantity.value = this.getItem(item.id).quantity;
+        });
+        row.appendChild(quantity);
+
+        const notesId = `quoteNotes-${item.id}`;
+        const notesLabel = document.createElement('label');
+        notesLabel.htmlFor = notesId;
+        notesLabel.className = 'sr-only';
+        notesLabel.textContent = i18n.t('contact.form.cart.notes');
+        row.appendChild(notesLabel);
+
+        const notes = document.createElement('input');
+        notes.type = 'text';
+        notes.id = notesId;
+        notes.className = 'quote-cart-notes';
+        notes.maxLength = this.maxNotesLength;
+        notes.value = item.notes;
+        notes.placeholder = i18n.t('contact.form.cart.notesPlaceholder');
+        notes.addEventListener('input', () => this.update(item.id, { notes: notes.value }));
+        row.appendChild(notes);
+
+        const removeButton = document.createElement('button');
+        removeButton.type = 'button';
+        removeButton.className = 'quote-cart-remove';
+        removeButton.textContent = '×';
+        removeButton.setAttribute('aria-label', `${i18n.t('contact.form.cart.remove')}: ${name}`);
+        removeButton.addEventListener('click', () => this.remove(item.id));
+        row.appendChild(removeButton);
+
+        return row;
+    }
+};
+
+// Export for use in other scripts
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = QuoteCart;
+}
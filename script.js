@@ -2,7 +2,7 @@
 
 /**
  * Vu Anh Industrial Equipment Website
- * Enhanced with security features and Exchange Online email integration
+ * Enhanced with security features and inquiry form submission
  */
 
 // ============================================
@@ -121,6 +121,17 @@ function handleNavLinkClick(event) {
             }
         }
         
+        // Product detail route (#products/<id>)
+        const productId = typeof ProductDetail !== 'undefined'
+            ? ProductDetail.getProductIdFromHash(href)
+            : null;
+        if (productId) {
+            if (ProductDetail.open(productId) && history.pushState) {
+                history.pushState({ productId }, '', ProductDetail.getProductUrl(productId));
+            }
+            return;
+        }
+        
         // Smooth scroll to target
         smoothScrollWithOffset(href);
         
@@ -164,23 +175,32 @@ function updateActiveNav() {
 
 /**
  * Filter products based on search input
- * Implements XSS protection through sanitization
+ * Falls back to a plain accent-insensitive substring match on the static markup
  */
 function filterProducts() {
+    // Faceted filter takes over once the catalog is rendered
+    if (typeof ProductFilter !== 'undefined' && ProductFilter.ready) {
+        ProductFilter.apply();
+        return;
+    }
+    
     const filterInput = document.getElementById('productFilter');
     const productCards = document.querySelectorAll('.product-card');
     
     if (!filterInput) return;
     
-    // Sanitize input to prevent XSS
-    const searchTerm = Utils.sanitizeInput(filterInput.value.toLowerCase().trim());
+    // The term is only compared, never rendered, so it is normalized rather than HTML-encoded
+    const normalize = (text) => typeof ProductSearch !== 'undefined'
+        ? ProductSearch.normalize(text)
+        : text.toLowerCase().trim();
+    const searchTerm = normalize(filterInput.value);
     
     productCards.forEach(card => {
         const keywords = card.getAttribute('data-keywords') || '';
-        const title = card.querySelector('h3')?.textContent.toLowerCase() || '';
-        const description = card.querySelector('.product-header p')?.textContent.toLowerCase() || '';
+        const title = card.querySelector('h3')?.textContent || '';
+        const description = card.querySelector('.product-header p')?.textContent || '';
         
-        const searchableText = `${keywords} ${title} ${description}`.toLowerCase();
+        const searchableText = normalize(`${keywords} ${title} ${description}`);
         
         if (searchableText.includes(searchTerm) || searchTerm === '') {
             card.classList.remove('hidden');
@@ -227,11 +247,11 @@ function handleLanguageSwitch(event) {
 }
 
 // ============================================
-// CONTACT FORM WITH EXCHANGE ONLINE INTEGRATION
+// CONTACT FORM (FALLBACK WHEN FORM-HANDLER.JS IS NOT LOADED)
 // ============================================
 
 /**
- * Handle form submission with Exchange Online email
+ * Handle form submission (FormHandler replaces this when loaded)
  * @param {Event} event - Submit event
  */
 function handleFormSubmit(event) {
@@ -271,11 +291,25 @@ function handleFormSubmit(event) {
     submitButton.textContent = 'Sending...';
     form.classList.add('loading');
     
-    // Send email using mailto: protocol
-    // This will open the user's default email client
+    // Post to the Formspree transport (offline queue, failover and mailto: live in FormHandler)
     sendEmail(formData, submitButton, form);
 }
 
+/**
+ * Formspree URL from the inquiry transport configuration (same setting as FormHandler)
+ * @returns {string} - Endpoint URL
+ */
+function getInquiryEndpoint() {
+    try {
+        const config = JSON.parse(document.getElementById('inquiryTransports').textContent);
+        const formspree = config.find(transport => transport.type === 'formspree');
+        if (formspree) return formspree.url;
+    } catch (error) {
+        // Missing or invalid configuration: use the default form
+    }
+    return 'https://formspree.io/f/mqayvobj';
+}
+
 /**
  * Send email using Formspree (AJAX method with proper handling)
  * @param {Object} formData - Form data object
@@ -291,7 +325,7 @@ function sendEmail(formData, submitButton, form) {
     data.append('product', formData.product);
     data.append('message', formData.message);
     
-    fetch('https://formspree.io/f/mqayvobj', {
+    fetch(getInquiryEndpoint(), {
         method: 'POST',
         body: data,
         headers: {
@@ -313,7 +347,7 @@ function sendEmail(formData, submitButton, form) {
         }
     })
     .catch(error => {
-        console.error('Formspree error:', error);
+        console.error('Inquiry endpoint error:', error);
         showFormMessage('Sorry, there was an error. Please try again.', 'error');
     })
     .finally(() => {
@@ -494,9 +528,9 @@ function initializeWebsite() {
     }
     */
     
-    // Form submission
+    // Form submission (FormHandler takes over when loaded; avoids sending twice)
     const inquiryForm = document.getElementById('inquiryForm');
-    if (inquiryForm) {
+    if (inquiryForm && typeof FormHandler === 'undefined') {
         inquiryForm.addEventListener('submit', handleFormSubmit);
     }
     
@@ -0,0 +1,84 @@
+#!/usr/bin/env node
+/**
+ * Translation Bundle Builder for Vu Anh Website
+ * Splits every i18n/<lang>.json into the sections of i18n.bundleSections
+ * (core + products, contact, ...) and writes a manifest with a content hash
+ * per bundle, so browsers can cache bundles until their content changes:
+ *   i18n/bundles/<lang>/<section>.json
+ *   i18n/bundles/manifest.json
+ *
+ * Usage: node scripts/build-i18n.js
+ * Run after changing i18n/*.json or the locale registry.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const i18n = require('../i18n.js');
+
+const ROOT = path.resolve(__dirname, '..');
+const I18N_DIR = path.join(ROOT, 'i18n');
+const OUTPUT_DIR = path.join(ROOT, 'i18n', 'bundles');
+
+function hash(content) {
+    return crypto.createHash('sha256').update(content).digest('hex').slice(0, 10);
+}
+
+/**
+ * Write a file only when its content changed (keeps the tree clean on rebuilds)
+ */
+function writeIfChanged(file, content) {
+    if (fs.existsSync(file) && fs.readFileSync(file, 'utf8') === content) return false;
+
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.writeFileSync(file, content);
+    return true;
+}
+
+/**
+ * Split a locale into { core: {...}, products: {...}, ... } by top-level key
+ */
+function splitSections(translations) {
+    const sections = { core: {} };
+    Object.keys(i18n.bundleSections).forEach(section => {
+        sections[section] = {};
+    });
+
+    Object.keys(translations).forEach(key => {
+        sections[i18n.getSection(key)][key] = translations[key];
+    });
+    return sections;
+}
+
+function build() {
+    const manifest = { version: '', sections: ['core', ...Object.keys(i18n.bundleSections)], bundles: {} };
+    let written = 0;
+
+    i18n.supportedLangs.forEach(lang => {
+        const translations = JSON.parse(fs.readFileSync(path.join(I18N_DIR, `${lang}.json`), 'utf8'));
+        const sections = splitSections(translations);
+        manifest.bundles[lang] = {};
+
+        Object.keys(sections).forEach(section => {
+            const content = JSON.stringify(sections[section], null, 2) + '\n';
+            manifest.bundles[lang][section] = hash(content);
+            if (writeIfChanged(path.join(OUTPUT_DIR, lang, `${section}.json`), content)) written++;
+        });
+    });
+
+    manifest.version = hash(JSON.stringify(manifest.bundles));
+    if (writeIfChanged(path.join(OUTPUT_DIR, 'manifest.json'), JSON.stringify(manifest, null, 2) + '\n')) written++;
+
+    console.log(`[build-i18n] ${i18n.supportedLangs.length} languages, version ${manifest.version} (${written} file(s) updated)`);
+}
+
+if (require.main === module) {
+    try {
+        build();
+    } catch (error) {
+        console.error('[build-i18n] Failed:', error.message);
+        process.exitCode = 1;
+    }
+}
+
+module.exports = { build, splitSections };
@@ -0,0 +1,292 @@
+#!/usr/bin/env node
+/**
+ * Translation Coverage Checker for Vu Anh Website
+ * Compares every locale file in i18n/ with the reference locale (en) and with
+ * the keys used in index.html (data-i18n*), in i18n.t(...) calls and in
+ * { key: ... } message descriptors. Localized catalog fields in data/products.json
+ * ({ en, vi, ... }) must cover every locale as well.
+ *
+ * Usage: node scripts/check-i18n.js
+ * Exits with code 1 when a locale has gaps, 0 when everything is covered.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const i18n = require('../i18n.js');
+
+const ROOT = path.resolve(__dirname, '..');
+const I18N_DIR = path.join(ROOT, 'i18n');
+const CATALOG_FILE = 'data/products.json';
+const REFERENCE_LANG = 'en';
+
+// Values that may legitimately stay the same as in English (names, loanwords)
+const IDENTICAL_ALLOWED = [
+    'contact.info.personValue',
+    'contact.info.email'
+];
+
+// Sections read as a whole outside i18n.t (section → reader)
+const SECTION_READERS = {
+    offlinePage: 'sw.js'
+};
+
+// Files that are not part of the site (backups, build/dev tools)
+const IGNORED_FILE = /(_bk_|_backup|^sw\.js$)/;
+
+/**
+ * Flatten nested translations into { 'a.b.c': value }
+ * Arrays are kept as leaf values
+ */
+function flatten(object, prefix = '', result = {}) {
+    Object.keys(object).forEach(key => {
+        const keyPath = prefix ? `${prefix}.${key}` : key;
+        const value = object[key];
+        if (value && typeof value === 'object' && !Array.isArray(value)) {
+            flatten(value, keyPath, result);
+        } else {
+            result[keyPath] = value;
+        }
+    });
+    return result;
+}
+
+/**
+ * Arguments used in a translation, e.g. 'Wait {time, plural, ...}' → ['time']
+ * Throws when the ICU message syntax is invalid
+ */
+function getPlaceholders(value) {
+    const messages = Array.isArray(value) ? value : [value];
+    const names = new Set();
+    messages.forEach(message => {
+        i18n.getMessageArguments(String(message)).forEach(name => names.add(name));
+    });
+    return Array.from(names).sort();
+}
+
+/**
+ * Keys whose value is not a valid ICU message
+ */
+function findSyntaxErrors(flat) {
+    return Object.keys(flat).map(key => {
+        try {
+            getPlaceholders(flat[key]);
+            return null;
+        } catch (error) {
+            return `${key}: ${error.message}`;
+        }
+    }).filter(Boolean);
+}
+
+function loadLocales() {
+    const locales = {};
+    fs.readdirSync(I18N_DIR)
+        .filter(file => file.endsWith('.json'))
+        .sort()
+        .forEach(file => {
+            const lang = path.basename(file, '.json');
+            try {
+                locales[lang] = JSON.parse(fs.readFileSync(path.join(I18N_DIR, file), 'utf8'));
+            } catch (error) {
+                console.error(`✖ ${file}: invalid JSON (${error.message})`);
+                process.exitCode = 1;
+            }
+        });
+    return locales;
+}
+
+/**
+ * Keys referenced by the page and scripts
+ * @returns {Object} - { keys: Map key → [locations], prefixes: Map prefix → [locations] }
+ */
+function collectReferences() {
+    const keys = new Map();
+    const prefixes = new Map();
+    const add = (map, key, location) => {
+        if (!map.has(key)) map.set(key, []);
+        map.get(key).push(location);
+    };
+    const lineOf = (source, index) => source.slice(0, index).split('\n').length;
+
+    // index.html: data-i18n, data-i18n-html, data-i18n-placeholder, data-i18n-aria
+    const htmlFile = 'index.html';
+    const html = fs.readFileSync(path.join(ROOT, htmlFile), 'utf8');
+    const attrPattern = /data-i18n(?:-html|-placeholder|-aria)?="([^"]+)"/g;
+    let match;
+    while ((match = attrPattern.exec(html)) !== null) {
+        add(keys, match[1], `${htmlFile}:${lineOf(html, match.index)}`);
+    }
+
+    // JavaScript (and the inline scripts of index.html): i18n.t('key') / this.t('key') inside i18n.js
+    // and message descriptors { key: 'contact.form.error' } translated later (FormHandler.showMessage)
+    // Template literals like `products.detail.documentTypes.${type}` are checked by prefix
+    const scriptFiles = fs.readdirSync(ROOT)
+        .filter(file => file.endsWith('.js') && !IGNORED_FILE.test(file));
+
+    [htmlFile, ...scriptFiles].forEach(file => {
+        const source = fs.readFileSync(path.join(ROOT, file), 'utf8');
+        const callPattern = /(?:\b(?:i18n|this)\.t\(|\{\s*key:)\s*(['"`])((?:(?!\1).)+)\1/g;
+
+        while ((match = callPattern.exec(source)) !== null) {
+            if (match[2] !== match[2].trim()) continue;
+            const location = `${file}:${lineOf(source, match.index)}`;
+            const dynamicAt = match[1] === '`' ? match[2].indexOf('${') : -1;
+
+            if (dynamicAt === -1) {
+                add(keys, match[2], location);
+            } else {
+                add(prefixes, match[2].slice(0, dynamicAt).replace(/\.$/, ''), location);
+            }
+        }
+    });
+
+    Object.keys(SECTION_READERS).forEach(section => add(prefixes, section, SECTION_READERS[section]));
+
+    return { keys, prefixes };
+}
+
+/**
+ * Localized catalog fields (objects with a reference-language value) lacking a locale
+ * or, for lists, with a different number of entries than the reference
+ * @returns {Array} - [path, ...] such as 'products[2].features'
+ */
+function findCatalogGaps(catalog, lang) {
+    const gaps = [];
+    const walk = (value, keyPath) => {
+        if (!value || typeof value !== 'object') return;
+        if (Array.isArray(value)) {
+            value.forEach((item, index) => walk(item, `${keyPath}[${index}]`));
+            return;
+        }
+        if (REFERENCE_LANG in value) {
+            const reference = value[REFERENCE_LANG];
+            const localized = value[lang];
+            const empty = localized === undefined || localized === '' ||
+                (Array.isArray(reference) && (!Array.isArray(localized) || localized.length !== reference.length));
+            if (empty) gaps.push(keyPath);
+            return;
+        }
+        Object.keys(value).forEach(key => walk(value[key], keyPath ? `${keyPath}.${key}` : key));
+    };
+    walk(catalog, '');
+    return gaps;
+}
+
+function check() {
+    const locales = loadLocales();
+    const reference = locales[REFERENCE_LANG];
+    if (!reference) {
+        console.error(`✖ Reference locale i18n/${REFERENCE_LANG}.json not found`);
+        return 1;
+    }
+
+    const referenceFlat = flatten(reference);
+    const { keys, prefixes } = collectReferences();
+    let problems = 0;
+
+    const report = (title, lines) => {
+        if (lines.length === 0) return;
+        problems += lines.length;
+        console.log(`\n✖ ${title} (${lines.length})`);
+        lines.forEach(line => console.log(`    ${line}`));
+    };
+
+    // Keys used in the code must exist in every locale
+    Object.keys(locales).forEach(lang => {
+        const flat = flatten(locales[lang]);
+        const hasPrefix = (prefix) => Object.keys(flat).some(key => key.startsWith(`${prefix}.`));
+
+        report(`[${lang}] keys used in code but missing`, [
+            ...Array.from(keys.entries())
+                .filter(([key]) => !(key in flat))
+                .map(([key, where]) => `${key}  (${where.join(', ')})`),
+            ...Array.from(prefixes.entries())
+                .filter(([prefix]) => !hasPrefix(prefix))
+                .map(([prefix, where]) => `${prefix}.*  (${where.join(', ')})`)
+        ]);
+    });
+
+    // Message syntax (plural/select/number/date)
+    Object.keys(locales).forEach(lang => {
+        report(`[${lang}] invalid message syntax`, findSyntaxErrors(flatten(locales[lang])));
+    });
+
+    // Every locale against the reference
+    Object.keys(locales).filter(lang => lang !== REFERENCE_LANG).forEach(lang => {
+        const flat = flatten(locales[lang]);
+        const safePlaceholders = (value) => {
+            try {
+                return getPlaceholders(value).join(', ');
+            } catch (error) {
+                return '?';
+            }
+        };
+
+        report(`[${lang}] missing keys (present in ${REFERENCE_LANG})`,
+            Object.keys(referenceFlat).filter(key => !(key in flat)));
+
+        report(`[${lang}] extra keys (not in ${REFERENCE_LANG})`,
+            Object.keys(flat).filter(key => !(key in referenceFlat)));
+
+        report(`[${lang}] untranslated (same text as ${REFERENCE_LANG})`,
+            Object.keys(flat)
+                .filter(key => key in referenceFlat && !IDENTICAL_ALLOWED.includes(key))
+                .filter(key => {
+                    const text = JSON.stringify(flat[key]);
+                    return /\p{L}{2,}/u.test(text) && text === JSON.stringify(referenceFlat[key]);
+                }));
+
+        report(`[${lang}] placeholder mismatches`,
+            Object.keys(flat)
+                .filter(key => key in referenceFlat)
+                .map(key => ({
+                    key,
+                    expected: safePlaceholders(referenceFlat[key]),
+                    actual: safePlaceholders(flat[key])
+                }))
+                .filter(item => item.expected !== '?' && item.actual !== '?' && item.expected !== item.actual)
+                .map(item => `${item.key}: expected {${item.expected}} got {${item.actual}}`));
+
+        report(`[${lang}] type mismatches`,
+            Object.keys(flat)
+                .filter(key => key in referenceFlat)
+                .filter(key => Array.isArray(flat[key]) !== Array.isArray(referenceFlat[key]) ||
+                    typeof flat[key] !== typeof referenceFlat[key])
+                .map(key => `${key}: ${typeof referenceFlat[key]} in ${REFERENCE_LANG}`));
+    });
+
+    // Catalog content (names, features, specs, facet labels, ...) in every locale
+    let catalog = null;
+    try {
+        catalog = JSON.parse(fs.readFileSync(path.join(ROOT, CATALOG_FILE), 'utf8'));
+    } catch (error) {
+        report(`${CATALOG_FILE} unreadable`, [error.message]);
+    }
+    if (catalog) {
+        Object.keys(locales).filter(lang => lang !== REFERENCE_LANG).forEach(lang => {
+            report(`[${lang}] catalog fields missing in ${CATALOG_FILE}`, findCatalogGaps(catalog, lang));
+        });
+    }
+
+    // Unused keys are only a warning: some are read dynamically
+    const unused = Object.keys(referenceFlat).filter(key =>
+        !keys.has(key) && !Array.from(prefixes.keys()).some(prefix => key.startsWith(`${prefix}.`)));
+    if (unused.length > 0) {
+        console.log(`\n⚠ Keys not referenced in index.html or scripts (${unused.length})`);
+        unused.forEach(key => console.log(`    ${key}`));
+    }
+
+    const langs = Object.keys(locales).join(', ');
+    if (problems > 0) {
+        console.log(`\n✖ ${problems} translation problem(s) in ${langs}`);
+        return 1;
+    }
+
+    console.log(`\n✅ ${keys.size} keys covered in ${langs}`);
+    return 0;
+}
+
+if (require.main === module) {
+    process.exitCode = check() || process.exitCode || 0;
+}
+
+module.exports = { flatten, getPlaceholders, findSyntaxErrors, collectReferences, findCatalogGaps, check };
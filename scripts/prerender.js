@@ -0,0 +1,465 @@
+#!/usr/bin/env node
+/**
+ * Static Prerender for Vu Anh Website
+ * Builds one HTML page per language from index.html and the locale files so
+ * crawlers and visitors without JavaScript get translated content:
+ *   /index.html (en), /<code>/index.html for every other registered locale
+ *
+ * Translates data-i18n* elements, the html lang/dir attributes, title/meta/OG
+ * tags, hreflang links and JSON-LD, renders the language switcher from the
+ * locale registry (i18n.locales) and the product cards and inquiry options
+ * from data/products.json.
+ *
+ * Usage: node scripts/prerender.js
+ * Run after changing index.html, i18n/*.json or data/products.json.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const i18n = require('../i18n.js');
+const { SecurityUtils } = require('../security-utils.js');
+
+const ROOT = path.resolve(__dirname, '..');
+const TEMPLATE = path.join(ROOT, 'index.html');
+const SITE_URL = 'https://vuanhco.com';
+
+function readJSON(file) {
+    return JSON.parse(fs.readFileSync(path.join(ROOT, file), 'utf8'));
+}
+
+function escapeHTML(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;');
+}
+
+function escapeAttr(text) {
+    return escapeHTML(text).replace(/"/g, '&quot;');
+}
+
+/**
+ * Decode the entities used in index.html (for comparing existing content)
+ */
+function decodeHTML(text) {
+    const named = { amp: '&', lt: '<', gt: '>', quot: '"', apos: '\'', nbsp: ' ', copy: '©' };
+    return text.replace(/&(#x[0-9a-f]+|#\d+|\w+);/gi, (match, entity) => {
+        if (entity[0] === '#') {
+            const code = entity[1].toLowerCase() === 'x' ? parseInt(entity.slice(2), 16) : parseInt(entity.slice(1), 10);
+            return String.fromCodePoint(code);
+        }
+        return named[entity.toLowerCase()] !== undefined ? named[entity.toLowerCase()] : match;
+    });
+}
+
+const collapse = (text) => text.replace(/\s+/g, ' ').trim();
+
+/**
+ * Markup outside the SecurityUtils.allowedHTML whitelist (same rules as sanitizeHTML)
+ * The browser sanitizes data-i18n-html at runtime; the build refuses unsafe markup instead
+ */
+function findUnsafeHTML(markup) {
+    const problems = [];
+    const tagPattern = /<\/?([a-zA-Z][\w-]*)([^>]*)>/g;
+    const attrPattern = /([^\s=\/]+)(?:\s*=\s*("[^"]*"|'[^']*'|[^\s>]+))?/g;
+    let match;
+
+    while ((match = tagPattern.exec(markup)) !== null) {
+        const tag = match[1].toLowerCase();
+        if (!Object.prototype.hasOwnProperty.call(SecurityUtils.allowedHTML, tag)) {
+            problems.push(`<${tag}>`);
+            continue;
+        }
+
+        let attr;
+        while ((attr = attrPattern.exec(match[2])) !== null) {
+            const name = attr[1].toLowerCase();
+            const value = decodeHTML((attr[2] || '').replace(/^["']|["']$/g, '')).trim();
+            if (!SecurityUtils.allowedHTML[tag].includes(name)) {
+                problems.push(`<${tag} ${name}>`);
+            } else if (name === 'href' && !SecurityUtils.allowedURLPattern.test(value)) {
+                problems.push(`<${tag} href="${value}">`);
+            }
+        }
+    }
+
+    return Array.from(new Set(problems));
+}
+
+/**
+ * Index of the closing tag matching an element opened just before `from`
+ */
+function findClosingTag(html, tagName, from) {
+    const pattern = new RegExp(`<(/?)${tagName}\\b[^>]*>`, 'gi');
+    pattern.lastIndex = from;
+    let depth = 1;
+    let match;
+
+    while ((match = pattern.exec(html)) !== null) {
+        depth += match[1] ? -1 : 1;
+        if (depth === 0) return match.index;
+    }
+
+    throw new Error(`No closing </${tagName}> after position ${from}`);
+}
+
+function getAttribute(tag, name) {
+    const match = new RegExp(`\\s${name}="([^"]*)"`).exec(tag);
+    return match ? match[1] : null;
+}
+
+/**
+ * Set (or add) an attribute on an opening tag string
+ */
+function setAttribute(tag, name, value) {
+    const pattern = new RegExp(`(\\s${name}=")[^"]*(")`);
+    const escaped = escapeAttr(value);
+    if (pattern.test(tag)) {
+        return tag.replace(pattern, (match, start, end) => `${start}${escaped}${end}`);
+    }
+    return tag.replace(/\s*(\/?)>$/, ` ${name}="${escaped}"$1>`);
+}
+
+/**
+ * Replace the content of the element whose opening tag ends at `contentStart`
+ * Existing content is kept when it already says the same thing (keeps formatting)
+ */
+function replaceContent(html, tagName, contentStart, content, isHTML) {
+    const end = findClosingTag(html, tagName, contentStart);
+    const current = html.slice(contentStart, end);
+    const same = isHTML
+        ? collapse(current) === collapse(content)
+        : collapse(decodeHTML(current)) === collapse(content);
+
+    if (same) return html;
+    return html.slice(0, contentStart) + (isHTML ? content : escapeHTML(content)) + html.slice(end);
+}
+
+/**
+ * Apply data-i18n, data-i18n-html, data-i18n-placeholder and data-i18n-aria
+ * (same rules as i18n.applyTranslations)
+ */
+function translateElements(html) {
+    const pattern = /<([a-zA-Z][\w-]*)\b[^>]*\sdata-i18n(?:-html|-placeholder|-aria)?="[^"]*"[^>]*>/g;
+    let match;
+
+    while ((match = pattern.exec(html)) !== null) {
+        const tagName = match[1].toLowerCase();
+        let tag = match[0];
+        const textKey = getAttribute(tag, 'data-i18n');
+        const htmlKey = getAttribute(tag, 'data-i18n-html');
+        const placeholderKey = getAttribute(tag, 'data-i18n-placeholder');
+        const ariaKey = getAttribute(tag, 'data-i18n-aria');
+        const isField = tagName === 'input' || tagName === 'textarea';
+
+        if (placeholderKey) tag = setAttribute(tag, 'placeholder', i18n.t(placeholderKey));
+        if (ariaKey) tag = setAttribute(tag, 'aria-label', i18n.t(ariaKey));
+        if (textKey && isField) tag = setAttribute(tag, 'placeholder', i18n.t(textKey));
+
+        html = html.slice(0, match.index) + tag + html.slice(match.index + match[0].length);
+        const contentStart = match.index + tag.length;
+
+        if (textKey && !isField) {
+            html = replaceContent(html, tagName, contentStart, i18n.t(textKey), false);
+        } else if (htmlKey) {
+            const markup = i18n.t(htmlKey);
+            const problems = findUnsafeHTML(markup);
+            if (problems.length > 0) {
+                throw new Error(`Unsafe markup in ${i18n.currentLang}:${htmlKey}: ${problems.join(', ')}`);
+            }
+            html = replaceContent(html, tagName, contentStart, markup, true);
+        }
+
+        pattern.lastIndex = contentStart;
+    }
+
+    return html;
+}
+
+/**
+ * Public URL of a language's page
+ */
+function getPageUrl(lang) {
+    return SITE_URL + i18n.getLanguagePath(lang, '/');
+}
+
+/**
+ * Update lang attribute, title, meta/OG tags, canonical and hreflang links
+ */
+function updateHead(html, lang, langs) {
+    const pageUrl = getPageUrl(lang);
+    const replaceTag = (pattern, update) => html.replace(pattern, tag => update(tag));
+
+    const locale = i18n.getLocale(lang);
+    html = replaceTag(/<html\b[^>]*>/, tag => setAttribute(setAttribute(tag, 'lang', locale.tag), 'dir', locale.dir));
+    html = html.replace(/<title>[^<]*<\/title>/, `<title>${escapeHTML(i18n.t('meta.title'))}</title>`);
+
+    html = replaceTag(/<meta name="description"[^>]*>/, tag => setAttribute(tag, 'content', i18n.t('meta.description')));
+    html = replaceTag(/<meta property="og:title"[^>]*>/, tag => setAttribute(tag, 'content', i18n.t('meta.title')));
+    html = replaceTag(/<meta property="og:description"[^>]*>/, tag => setAttribute(tag, 'content', i18n.t('meta.description')));
+    html = replaceTag(/<meta property="og:url"[^>]*>/, tag => setAttribute(tag, 'content', pageUrl));
+    html = replaceTag(/<meta property="twitter:url"[^>]*>/, tag => setAttribute(tag, 'content', pageUrl));
+    html = replaceTag(/<link rel="canonical"[^>]*>/, tag => setAttribute(tag, 'href', pageUrl));
+
+    // og:locale of this page, the other languages as alternates
+    const ogLocales = [`<meta property="og:locale" content="${locale.ogLocale}">`]
+        .concat(langs.filter(other => other !== lang)
+            .map(other => `<meta property="og:locale:alternate" content="${i18n.locales[other].ogLocale}">`));
+    html = replaceBlock(html, /<meta property="og:locale(?::alternate)?"[^>]*>(\r?\n)?/g, ogLocales);
+
+    // hreflang alternates point at the prerendered pages
+    const alternates = langs
+        .map(other => `<link rel="alternate" hreflang="${i18n.getLangCode(other)}" href="${getPageUrl(other)}">`)
+        .concat(`<link rel="alternate" hreflang="x-default" href="${getPageUrl(i18n.defaultLang)}">`);
+    html = replaceBlock(html, /<link rel="alternate" hreflang="[^"]*"[^>]*>(\r?\n)?/g, alternates);
+
+    // Fonts for scripts Montserrat doesn't cover (same links as i18n.applyLocale)
+    html = html.replace(/<link [^>]*data-locale-font="[^"]*"[^>]*>\r?\n/g, '');
+    const fontLinks = locale.fonts
+        .map(family => `<link href="${escapeAttr(i18n.getFontUrl(family))}" rel="stylesheet" data-locale-font="${family}">`);
+    if (fontLinks.length > 0) {
+        const eol = html.includes('\r\n') ? '\r\n' : '\n';
+        html = html.replace(/(<link href="https:\/\/fonts\.googleapis\.com\/css2\?family=Montserrat[^>]*>\r?\n)/,
+            match => match + fontLinks.join(eol) + eol);
+        html = replaceTag(/<html\b[^>]*>/, tag => setAttribute(tag, 'style',
+            `--locale-font: ${locale.fonts.map(family => `'${family}'`).join(', ')}`));
+    } else {
+        html = html.replace(/(<html\b[^>]*?)\s+style="[^"]*"/, '$1');
+    }
+
+    return html;
+}
+
+/**
+ * Replace a run of consecutive lines matching `pattern` with new lines
+ */
+function replaceBlock(html, pattern, lines) {
+    const matches = Array.from(html.matchAll(pattern));
+    if (matches.length === 0) return html;
+
+    const start = matches[0].index;
+    const last = matches[matches.length - 1];
+    const end = last.index + last[0].length;
+    const eol = html.includes('\r\n') ? '\r\n' : '\n';
+
+    return html.slice(0, start) + lines.join(eol) + eol + html.slice(end);
+}
+
+/**
+ * Languages of the site in JSON-LD (inLanguage / availableLanguage)
+ */
+function updateLanguageLists(node, langs) {
+    if (Array.isArray(node)) {
+        node.forEach(item => updateLanguageLists(item, langs));
+        return;
+    }
+    if (!node || typeof node !== 'object') return;
+
+    Object.keys(node).forEach(key => {
+        if (key === 'availableLanguage') {
+            node[key] = langs.map(lang => i18n.locales[lang].name);
+        } else if (key === 'inLanguage' && Array.isArray(node[key])) {
+            node[key] = langs.map(lang => i18n.locales[lang].tag);
+        } else {
+            updateLanguageLists(node[key], langs);
+        }
+    });
+}
+
+/**
+ * Add/update a WebPage node in the JSON-LD graph with this page's language
+ */
+function updateStructuredData(html, lang, langs) {
+    return html.replace(/(<script type="application\/ld\+json">\s*)([\s\S]*?)(\s*<\/script>)/, (match, start, json, end) => {
+        const data = JSON.parse(json);
+        const graph = data['@graph'] || [];
+        updateLanguageLists(data, langs);
+        const pageUrl = getPageUrl(lang);
+        const webPage = {
+            '@type': 'WebPage',
+            '@id': `${pageUrl}#webpage`,
+            url: pageUrl,
+            name: i18n.t('meta.title'),
+            description: i18n.t('meta.description'),
+            inLanguage: i18n.getLangCode(lang),
+            isPartOf: { '@id': `${SITE_URL}/#website` }
+        };
+
+        const index = graph.findIndex(node => node['@type'] === 'WebPage');
+        if (index === -1) {
+            graph.push(webPage);
+        } else {
+            graph[index] = webPage;
+        }
+
+        const eol = html.includes('\r\n') ? '\r\n' : '\n';
+        return start + JSON.stringify(data, null, 2).replace(/\n/g, eol) + end;
+    });
+}
+
+/**
+ * Localized catalog value (same fallback as ProductCatalog.localize)
+ */
+function localize(value, lang) {
+    if (value === null || value === undefined) return '';
+    if (typeof value !== 'object' || Array.isArray(value)) return value;
+    if (value[lang] !== undefined) return value[lang];
+    return value[i18n.defaultLang] !== undefined ? value[i18n.defaultLang] : '';
+}
+
+/**
+ * Static product cards (SEO / no-JS fallback; catalog.js replaces them at runtime)
+ */
+function renderProductCards(html, catalog, lang) {
+    const open = /<div class="product-grid" id="productGrid">/.exec(html);
+    if (!open) return html;
+
+    const eol = html.includes('\r\n') ? '\r\n' : '\n';
+    const indent = '        ';
+    const contentStart = open.index + open[0].length;
+    const end = findClosingTag(html, 'div', contentStart);
+
+    const cards = catalog.products.map(product => [
+        `${indent}<article class="product-card" data-product-id="${escapeAttr(product.id)}" data-keywords="${escapeAttr((product.keywords || []).join(' '))}">`,
+        `${indent}  <div class="product-header">`,
+        `${indent}    <h3>${escapeHTML(localize(product.title, lang))}</h3>`,
+        `${indent}    <p>${escapeHTML(localize(product.series, lang))}</p>`,
+        `${indent}  </div>`,
+        `${indent}  <div class="product-body">`,
+        `${indent}    <ul>`,
+        ...(localize(product.features, lang) || []).map(feature => `${indent}      <li>${escapeHTML(feature)}</li>`),
+        `${indent}    </ul>`,
+        `${indent}  </div>`,
+        `${indent}</article>`
+    ].join(eol));
+
+    const content = [
+        '',
+        `${indent}<!-- Products are rendered by catalog.js from data/products.json -->`,
+        `${indent}<!-- Static fallback for SEO (generated by scripts/prerender.js) -->`,
+        cards.join(eol + eol),
+        '      '
+    ].join(eol);
+
+    return html.slice(0, contentStart) + content + html.slice(end);
+}
+
+/**
+ * Localized names of the product options in the inquiry select
+ */
+function renderInquiryOptions(html, catalog, lang) {
+    catalog.products.forEach(product => {
+        if (!product.inquiryValue) return;
+        const pattern = new RegExp(`(<option value="${product.inquiryValue}">)[^<]*(</option>)`);
+        html = html.replace(pattern, (match, start, end) => start + escapeHTML(localize(product.name, lang)) + end);
+    });
+    return html;
+}
+
+/**
+ * Language switcher from the locale registry: buttons for a few locales,
+ * a dropdown menu (toggle + list of .lang-btn) above i18n.switcherMaxButtons
+ */
+function renderLanguageSwitcher(html, lang, langs) {
+    const open = /<div class="lang-switcher[^"]*"[^>]*>/.exec(html);
+    if (!open) return html;
+
+    const eol = html.includes('\r\n') ? '\r\n' : '\n';
+    const indent = '      ';
+    const end = findClosingTag(html, 'div', open.index + open[0].length) + '</div>'.length;
+    const dropdown = langs.length > i18n.switcherMaxButtons;
+    const locale = i18n.getLocale(lang);
+
+    const button = (code) => {
+        const item = i18n.locales[code];
+        const active = code === lang;
+        const label = escapeAttr(i18n.t('accessibility.switchLang', { lang: item.nativeName }));
+        const text = dropdown ? item.nativeName : item.label;
+        return `<button class="lang-btn${active ? ' active' : ''}" data-lang="${code}" lang="${item.tag}" aria-label="${label}" aria-pressed="${active}">${escapeHTML(text)}</button>`;
+    };
+
+    const lines = dropdown
+        ? [
+            `${indent}<div class="lang-switcher lang-switcher-dropdown" role="group" aria-label="${escapeAttr(i18n.t('accessibility.languageSelection'))}" data-i18n-aria="accessibility.languageSelection">`,
+            `${indent}  <button type="button" class="lang-toggle" aria-haspopup="true" aria-expanded="false" aria-controls="langMenu" aria-label="${escapeAttr(`${i18n.t('accessibility.languageSelection')}: ${locale.nativeName}`)}">`,
+            `${indent}    <span class="lang-toggle-label">${escapeHTML(locale.label)}</span>`,
+            `${indent}  </button>`,
+            `${indent}  <ul class="lang-menu" id="langMenu" hidden>`,
+            ...langs.map(code => `${indent}    <li>${button(code)}</li>`),
+            `${indent}  </ul>`,
+            `${indent}</div>`
+        ]
+        : [
+            `${indent}<div class="lang-switcher" role="group" aria-label="${escapeAttr(i18n.t('accessibility.languageSelection'))}" data-i18n-aria="accessibility.languageSelection">`,
+            ...langs.map(code => `${indent}  ${button(code)}`),
+            `${indent}</div>`
+        ];
+
+    return html.slice(0, open.index) + lines.join(eol).trimStart() + html.slice(end);
+}
+
+/**
+ * Root-relative asset URLs so pages under /vi/ and /cn/ load the same files
+ */
+function absolutizeUrls(html) {
+    return html.replace(/(\s(?:src|href)=")([^"]*)(")/g, (match, start, url, end) => {
+        if (!url || /^(\/|#|[a-z][a-z0-9+.-]*:)/i.test(url)) return match;
+        return `${start}/${url}${end}`;
+    });
+}
+
+function renderPage(template, lang, langs, catalog) {
+    i18n.currentLang = lang;
+
+    let html = template;
+    html = absolutizeUrls(html);
+    html = updateHead(html, lang, langs);
+    html = updateStructuredData(html, lang, langs);
+    html = renderLanguageSwitcher(html, lang, langs);
+    html = translateElements(html);
+    html = renderProductCards(html, catalog, lang);
+    html = renderInquiryOptions(html, catalog, lang);
+    return html;
+}
+
+function build() {
+    const template = fs.readFileSync(TEMPLATE, 'utf8');
+    const catalog = readJSON('data/products.json');
+    const langs = i18n.supportedLangs;
+
+    langs.forEach(lang => {
+        i18n.bundles[lang] = readJSON(`i18n/${lang}.json`);
+    });
+
+    // Render every language from the original template before writing anything
+    const pages = langs.map(lang => ({
+        lang,
+        file: lang === i18n.defaultLang ? 'index.html' : path.join(lang, 'index.html'),
+        html: renderPage(template, lang, langs, catalog)
+    }));
+
+    pages.forEach(page => {
+        const target = path.join(ROOT, page.file);
+        const current = fs.existsSync(target) ? fs.readFileSync(target, 'utf8') : null;
+
+        if (current === page.html) {
+            console.log(`[Prerender] ${page.file} is up to date`);
+            return;
+        }
+
+        fs.mkdirSync(path.dirname(target), { recursive: true });
+        fs.writeFileSync(target, page.html);
+        console.log(`[Prerender] Wrote ${page.file}`);
+    });
+}
+
+if (require.main === module) {
+    try {
+        build();
+    } catch (error) {
+        console.error('[Prerender] Failed:', error.message);
+        process.exitCode = 1;
+    }
+}
+
+module.exports = { build, renderPage, findUnsafeHTML };
@@ -36,6 +36,115 @@ const SecurityUtils = {
         return div.innerHTML;
     },
 
+    /**
+     * Plain text of a sanitizeInput() result (entities decoded)
+     */
+    decodeEntities: function(text) {
+        const textarea = document.createElement('textarea');
+        textarea.innerHTML = String(text || '');
+        return textarea.value;
+    },
+
+    /**
+     * Whitelist for HTML translations (data-i18n-html): tag → allowed attributes
+     */
+    allowedHTML: {
+        strong: [],
+        em: [],
+        b: [],
+        i: [],
+        br: [],
+        span: ['class'],
+        a: ['href', 'title', 'target', 'rel']
+    },
+
+    // Links in HTML translations may only point to these protocols
+    allowedURLPattern: /^(https:|mailto:|tel:)/i,
+
+    // Removed together with their content (everything else not allowed is unwrapped)
+    droppedHTML: ['script', 'style', 'iframe', 'object', 'embed', 'template', 'noscript', 'svg', 'math', 'textarea', 'select'],
+
+    reportedViolations: new Set(),
+
+    /**
+     * Whitelist-based HTML sanitizer for trusted-but-unverified markup (e.g. locale files)
+     * Keeps allowed tags/attributes, unwraps other tags, drops scripts and unsafe links
+     * @param {string} html - Markup to clean
+     * @param {string} source - Where the markup comes from (for violation reports)
+     * @returns {string} - Safe HTML
+     */
+    sanitizeHTML: function(html, source = 'unknown') {
+        if (typeof html !== 'string' || html === '') return '';
+
+        // Parse in an inert template: nothing runs or loads while we inspect it
+        const template = document.createElement('template');
+        template.innerHTML = html;
+
+        const output = document.createElement('div');
+        const violations = [];
+        this.copySafeNodes(template.content, output, violations);
+
+        violations.forEach(violation => this.reportViolation('Unsafe HTML', `${source}: ${violation}`));
+        return output.innerHTML;
+    },
+
+    /**
+     * Copy the allowed part of a node tree (helper of sanitizeHTML)
+     */
+    copySafeNodes: function(source, target, violations) {
+        Array.from(source.childNodes).forEach(node => {
+            if (node.nodeType === Node.TEXT_NODE) {
+                target.appendChild(document.createTextNode(node.textContent));
+                return;
+            }
+            if (node.nodeType !== Node.ELEMENT_NODE) return;
+
+            const tag = node.tagName.toLowerCase();
+            if (!Object.prototype.hasOwnProperty.call(this.allowedHTML, tag)) {
+                violations.push(`<${tag}>`);
+                if (!this.droppedHTML.includes(tag)) {
+                    this.copySafeNodes(node, target, violations);
+                }
+                return;
+            }
+
+            const element = document.createElement(tag);
+            Array.from(node.attributes).forEach(attribute => {
+                const name = attribute.name.toLowerCase();
+                const value = attribute.value.trim();
+
+                if (!this.allowedHTML[tag].includes(name)) {
+                    violations.push(`<${tag} ${name}>`);
+                } else if (name === 'href' && !this.allowedURLPattern.test(value)) {
+                    violations.push(`<${tag} href="${value.substring(0, 50)}">`);
+                } else {
+                    element.setAttribute(name, value);
+                }
+            });
+
+            // New tabs must not get access to this page
+            if (tag === 'a' && element.getAttribute('target') === '_blank') {
+                element.setAttribute('rel', 'noopener noreferrer');
+            }
+
+            this.copySafeNodes(node, element, violations);
+            target.appendChild(element);
+        });
+    },
+
+    /**
+     * Log and track a security violation (once per page view)
+     */
+    reportViolation: function(action, label) {
+        if (this.reportedViolations.has(`${action}|${label}`)) return;
+        this.reportedViolations.add(`${action}|${label}`);
+
+        console.warn(`[Security] ${action}:`, label);
+        if (typeof Analytics !== 'undefined') {
+            Analytics.trackEvent('Security', action, label);
+        }
+    },
+
     /**
      * Enhanced email validation with security checks
      */
@@ -66,61 +175,44 @@ const SecurityUtils = {
 
     /**
      * Validate phone number with international format support
+     * Structure only; the country-aware check is PhoneNumbers.parse (phone-numbers.js)
      */
     validatePhone: function(phone) {
         if (!phone) return true; // Optional field
         if (phone.length > 20) return false;
         
-        // Allow: digits, spaces, +, -, (, )
-        const phoneRegex = /^[\d\s\+\-\(\)]+$/;
+        // Allow: digits, spaces, dots, -, (, ) and a leading +
+        const phoneRegex = /^\+?[\d\s.\-()]+$/;
         if (!phoneRegex.test(phone)) return false;
         
-        // Check for suspicious patterns
-        if (/<|>|script|javascript/gi.test(phone)) return false;
-        
-        return true;
+        // E.164 numbers have at most 15 digits (plus 2 for a 00 international prefix)
+        const digits = phone.replace(/\D/g, '').length;
+        return digits >= 6 && digits <= 17;
     },
 
     /**
-     * CSRF Token Generation (SHA-256 based)
+     * Random key identifying one submission across retries (the inquiry service stores it only once)
      */
-    generateCSRFToken: function() {
+    generateIdempotencyKey: function() {
         const array = new Uint8Array(32);
         crypto.getRandomValues(array);
         return Array.from(array, byte => byte.toString(16).padStart(2, '0')).join('');
     },
 
     /**
-     * Store CSRF token securely
+     * Fetch a one-time CSRF token from the inquiry service (expires server-side)
+     * @param {string} url - Token endpoint, e.g. https://<host>/inquiries/token
      */
-    storeCSRFToken: function(token) {
-        try {
-            sessionStorage.setItem('csrf_token', token);
-            sessionStorage.setItem('csrf_timestamp', Date.now().toString());
-        } catch (e) {
-            console.warn('[Security] Could not store CSRF token');
-        }
-    },
+    fetchCSRFToken: async function(url) {
+        const response = await fetch(url, {
+            headers: { 'Accept': 'application/json' },
+            cache: 'no-store',
+            credentials: 'omit'
+        });
+        if (!response.ok) throw new Error(`CSRF token request failed: ${response.status}`);
 
-    /**
-     * Validate CSRF token
-     */
-    validateCSRFToken: function(token) {
-        try {
-            const storedToken = sessionStorage.getItem('csrf_token');
-            const timestamp = parseInt(sessionStorage.getItem('csrf_timestamp'));
-            
-            // Token expires after 1 hour
-            const oneHour = 60 * 60 * 1000;
-            if (Date.now() - timestamp > oneHour) {
-                console.warn('[Security] CSRF token expired');
-                return false;
-            }
-            
-            return token === storedToken;
-        } catch (e) {
-            return false;
-        }
+        const data = await response.json();
+        return data.token;
     },
 
     /**
@@ -168,6 +260,30 @@ const SecurityUtils = {
 const RateLimiter = {
     attempts: {},
 
+    // Attempts are kept in localStorage so a reload (or another tab) does not reset the limit
+    storageKey: 'vuanh_rate_limits',
+
+    /**
+     * Read the attempts saved by this or another tab (memory only when storage is unavailable)
+     */
+    load: function() {
+        if (typeof localStorage === 'undefined') return;
+        try {
+            this.attempts = JSON.parse(localStorage.getItem(this.storageKey)) || {};
+        } catch (error) {
+            // Storage blocked or corrupted: keep counting in memory
+        }
+    },
+
+    save: function() {
+        if (typeof localStorage === 'undefined') return;
+        try {
+            localStorage.setItem(this.storageKey, JSON.stringify(this.attempts));
+        } catch (error) {
+            // Storage blocked or full: the limit still applies until the page is reloaded
+        }
+    },
+
     /**
      * Check if action is rate limited
      * @param {string} key - Unique identifier (e.g., 'contact-form')
@@ -177,6 +293,7 @@ const RateLimiter = {
      */
     checkLimit: function(key, maxAttempts, windowMs) {
         const now = Date.now();
+        this.load();
         
         // Initialize or clean old attempts
         if (!this.attempts[key]) {
@@ -201,6 +318,7 @@ const RateLimiter = {
         
         // Record this attempt
         this.attempts[key].push(now);
+        this.save();
         
         return {
             allowed: true,
@@ -212,7 +330,9 @@ const RateLimiter = {
      * Reset rate limit for a key
      */
     reset: function(key) {
+        this.load();
         delete this.attempts[key];
+        this.save();
     }
 };
 
@@ -0,0 +1,66 @@
+/**
+ * CSRF Tokens for the Vu Anh Inquiry Service
+ * Tokens are signed (HMAC-SHA256) with the origin that requested them and an expiry time,
+ * so the server keeps no state for issued tokens; accepted tokens are remembered until
+ * they expire so each one can be used only once.
+ */
+
+const crypto = require('crypto');
+
+/**
+ * @param {Object} options - secret (random per start when omitted: tokens die with the process), ttl (ms)
+ */
+function createTokenService(options = {}) {
+    const secret = options.secret || crypto.randomBytes(32).toString('hex');
+    const ttl = options.ttl || 30 * 60 * 1000;
+    const used = new Map();
+
+    const sign = (nonce, expiresAt, origin) => crypto
+        .createHmac('sha256', secret)
+        .update(`${nonce}.${expiresAt}.${origin || ''}`)
+        .digest('base64url');
+
+    const prune = (now) => {
+        used.forEach((expiresAt, nonce) => {
+            if (expiresAt <= now) used.delete(nonce);
+        });
+    };
+
+    return {
+        ttl,
+
+        /**
+         * New token for a page of the given origin → { token, expiresAt }
+         */
+        issue: (origin) => {
+            const nonce = crypto.randomBytes(16).toString('base64url');
+            const expiresAt = Date.now() + ttl;
+            return { token: `${nonce}.${expiresAt}.${sign(nonce, expiresAt, origin)}`, expiresAt: new Date(expiresAt).toISOString() };
+        },
+
+        /**
+         * Check and consume a token → { valid } or { valid: false, reason: 'missing' | 'invalid' | 'expired' | 'used' }
+         */
+        consume: (token, origin) => {
+            if (!token) return { valid: false, reason: 'missing' };
+
+            const [nonce, expires, signature] = String(token).split('.');
+            const expected = nonce && expires ? sign(nonce, expires, origin) : '';
+            if (!signature || signature.length !== expected.length ||
+                !crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected))) {
+                return { valid: false, reason: 'invalid' };
+            }
+
+            const now = Date.now();
+            const expiresAt = parseInt(expires, 10);
+            if (!(expiresAt > now)) return { valid: false, reason: 'expired' };
+
+            prune(now);
+            if (used.has(nonce)) return { valid: false, reason: 'used' };
+            used.set(nonce, expiresAt);
+            return { valid: true };
+        }
+    };
+}
+
+module.exports = { createTokenService };
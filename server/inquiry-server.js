@@ -0,0 +1,417 @@
+#!/usr/bin/env node
+/**
+ * Inquiry Service for Vu Anh Website
+ * Self-hosted replacement for Formspree: accepts the inquiry form fields (name, email, phone,
+ * product or products/_items, message, _language, _timestamp) as multipart, urlencoded or JSON,
+ * validates them with the rules of the form (form-validation.js), stores them in a JSON file
+ * and mails them to the sales inbox.
+ *
+ * Every submission needs a one-time CSRF token from GET <path>/token (field _csrf or header
+ * X-CSRF-Token); an idempotency key (field _idempotency_key or header Idempotency-Key) makes
+ * retries of the same submission return the first result instead of storing it again.
+ *
+ * Usage: node server/inquiry-server.js
+ * Then point the site at it with an inquiry transport in index.html (see inquiry-transports.js):
+ * { "type": "api", "url": "https://<host>/inquiries" } (tokens from <url>/token)
+ *
+ * Environment:
+ *   PORT (8787), INQUIRY_PATH (/inquiries), ALLOWED_ORIGINS (comma separated, default https://vuanhco.com)
+ *   INQUIRY_STORE (server/data/inquiries.json), CSRF_SECRET (random per start when unset)
+ *   MAIL_FROM (noreply@vuanhco.com), MAIL_TO (comma separated, default vuanh@vuanhco.com) and the transport settings of server/mailer.js
+ *   SPAM_CONFIG (JSON spam model overrides, same shape as #spamGuard in index.html, e.g. {"powBits":14})
+ *
+ * Responses follow Formspree: 200 { ok: true, id } or 422 { ok: false, errors: [{ field, code, message }] };
+ * token problems are 403 with code csrf_missing, csrf_invalid, csrf_expired or csrf_used.
+ * Spam is scored again with spam-guard.js (honeypot _gotcha, _fill_time, links, keywords, _pow) and
+ * stored with the inquiry; flagged inquiries are accepted and mailed with a "[Spam?]" subject.
+ */
+
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+const crypto = require('crypto');
+const i18n = require('../i18n.js');
+const FormValidation = require('../form-validation.js');
+const PhoneNumbers = require('../phone-numbers.js');
+const SpamGuard = require('../spam-guard.js');
+const { createTokenService } = require('./csrf.js');
+const { createTransport } = require('./mailer.js');
+const { createStore } = require('./store.js');
+
+const ROOT = path.resolve(__dirname, '..');
+const MAX_BODY_BYTES = 100 * 1024;
+const IDEMPOTENCY_KEY_PATTERN = /^[A-Za-z0-9_-]{16,128}$/;
+
+// Same limits as QuoteCart (quote-cart.js)
+const MAX_ITEMS = 20;
+const MAX_QUANTITY = 9999;
+const MAX_NOTES_LENGTH = 200;
+
+const locales = new Map();
+
+/**
+ * Translation in the visitor's language, falling back to the default language
+ */
+function translate(lang, key, params) {
+    const bundleOf = (code) => {
+        if (!locales.has(code)) {
+            locales.set(code, JSON.parse(fs.readFileSync(path.join(ROOT, 'i18n', `${code}.json`), 'utf8')));
+        }
+        return locales.get(code);
+    };
+
+    for (const code of [lang, i18n.defaultLang]) {
+        const value = i18n.resolve(bundleOf(code), key);
+        if (typeof value === 'string') return i18n.formatMessage(value, params, code);
+    }
+    return key;
+}
+
+class HttpError extends Error {
+    constructor(status, message) {
+        super(message);
+        this.status = status;
+    }
+}
+
+/**
+ * Read the request body (rejects bodies over MAX_BODY_BYTES)
+ */
+function readBody(req) {
+    return new Promise((resolve, reject) => {
+        const chunks = [];
+        let size = 0;
+
+        req.on('data', (chunk) => {
+            size += chunk.length;
+            if (size > MAX_BODY_BYTES) {
+                // Drain the rest so the 413 response still reaches the client
+                req.removeAllListeners('data');
+                req.resume();
+                reject(new HttpError(413, 'Request body too large'));
+                return;
+            }
+            chunks.push(chunk);
+        });
+        req.on('end', () => resolve(Buffer.concat(chunks)));
+        req.on('error', reject);
+    });
+}
+
+/**
+ * Text fields of a multipart/form-data body (file parts are ignored)
+ */
+function parseMultipart(body, boundary) {
+    const fields = {};
+    const delimiter = `--${boundary}`;
+
+    body.toString('utf8').split(delimiter).slice(1).forEach(part => {
+        if (part.startsWith('--')) return;
+
+        const headerEnd = part.indexOf('\r\n\r\n');
+        if (headerEnd === -1) return;
+
+        const headers = part.slice(0, headerEnd);
+        const name = /\bname="([^"]*)"/i.exec(headers);
+        if (!name || /\bfilename=/i.test(headers) || name[1] in fields) return;
+
+        fields[name[1]] = part.slice(headerEnd + 4).replace(/\r\n$/, '');
+    });
+    return fields;
+}
+
+/**
+ * Form fields of a request, by content type
+ */
+function parseFields(contentType, body) {
+    const type = (contentType || '').split(';')[0].trim().toLowerCase();
+
+    if (type === 'multipart/form-data') {
+        const boundary = /boundary="?([^";]+)"?/i.exec(contentType);
+        if (!boundary) throw new HttpError(400, 'Missing multipart boundary');
+        return parseMultipart(body, boundary[1]);
+    }
+    if (type === 'application/x-www-form-urlencoded') {
+        return Object.fromEntries(new URLSearchParams(body.toString('utf8')));
+    }
+    if (type === 'application/json') {
+        let data;
+        try {
+            data = JSON.parse(body.toString('utf8'));
+        } catch (error) {
+            throw new HttpError(400, 'Invalid JSON');
+        }
+        if (!data || typeof data !== 'object' || Array.isArray(data)) throw new HttpError(400, 'Expected a JSON object');
+        return data;
+    }
+    throw new HttpError(415, 'Unsupported content type');
+}
+
+/**
+ * Quote cart items from the _items JSON field (invalid entries are dropped)
+ */
+function parseItems(value) {
+    let items;
+    try {
+        items = typeof value === 'string' ? JSON.parse(value) : value;
+    } catch (error) {
+        return [];
+    }
+    if (!Array.isArray(items)) return [];
+
+    return items
+        .filter(item => item && typeof item.id === 'string' && /^[a-z0-9-]{1,64}$/i.test(item.id))
+        .slice(0, MAX_ITEMS)
+        .map(item => ({
+            id: item.id,
+            name: String(item.name || item.id).slice(0, 200),
+            quantity: Math.min(Math.max(parseInt(item.quantity, 10) || 1, 1), MAX_QUANTITY),
+            notes: String(item.notes || '').slice(0, MAX_NOTES_LENGTH)
+        }));
+}
+
+/**
+ * Inquiry record from the submitted fields
+ */
+function normalizeInquiry(fields, idempotencyKey) {
+    const text = (value) => (typeof value === 'string' ? value.trim() : '');
+    const sentAt = new Date(text(fields._timestamp));
+
+    return {
+        id: crypto.randomUUID(),
+        idempotencyKey: idempotencyKey || null,
+        receivedAt: new Date().toISOString(),
+        sentAt: isNaN(sentAt) ? null : sentAt.toISOString(),
+        language: i18n.supportedLangs.includes(fields._language) ? fields._language : i18n.defaultLang,
+        name: text(fields.name),
+        email: text(fields.email),
+        // The form sends E.164; numbers posted by other clients are read as Vietnamese unless they start with +
+        phone: PhoneNumbers.normalize(text(fields.phone)),
+        product: text(fields.product),
+        products: text(fields.products),
+        items: parseItems(fields._items),
+        message: text(fields.message)
+    };
+}
+
+/**
+ * Spam score of an inquiry with the model of spam-guard.js; the visitor's own score is kept for comparison
+ */
+async function assessSpam(fields, inquiry, spamConfig) {
+    const text = (value) => (typeof value === 'string' ? value.trim() : '');
+    const fillTime = parseInt(fields._fill_time, 10);
+    const clientScore = parseFloat(fields._spam_score);
+
+    let powValid = false;
+    if (spamConfig.powBits > 0 && inquiry.idempotencyKey && inquiry.sentAt) {
+        const challenge = SpamGuard.getChallenge(inquiry.idempotencyKey, inquiry.sentAt);
+        powValid = await SpamGuard.verifyProofOfWork(challenge, text(fields._pow), spamConfig.powBits);
+    }
+
+    const result = SpamGuard.score(Object.assign({}, inquiry, {
+        honeypot: text(fields[SpamGuard.honeypotField]),
+        fillTime: isNaN(fillTime) ? null : fillTime,
+        powValid
+    }), spamConfig);
+
+    return {
+        score: result.score,
+        signals: result.signals,
+        flagged: result.spam,
+        clientScore: isNaN(clientScore) ? null : clientScore
+    };
+}
+
+/**
+ * One line per quote item, as QuoteCart.formatItems: "1. EMCO DPM [emco-dpm] x 2 - Notes: ..."
+ */
+function formatItems(items) {
+    return items.map((item, index) => {
+        const line = `${index + 1}. ${item.name} [${item.id}] x ${item.quantity}`;
+        return item.notes ? `${line} - Notes: ${item.notes}` : line;
+    });
+}
+
+/**
+ * Notification mail for the sales inbox (replies go to the visitor)
+ */
+function composeMail(inquiry, config) {
+    const lines = [
+        `Name: ${inquiry.name}`,
+        `Email: ${inquiry.email}`,
+        `Phone: ${inquiry.phone || '-'}`,
+        `Product: ${inquiry.product || '-'}`,
+        ...(inquiry.items.length > 0 ? ['', 'Quote items:', ...formatItems(inquiry.items)] : []),
+        '',
+        'Message:',
+        inquiry.message,
+        '',
+        `Language: ${inquiry.language}`,
+        `Sent: ${inquiry.sentAt || inquiry.receivedAt}`,
+        `Inquiry ID: ${inquiry.id}`
+    ];
+    const spam = inquiry.spam;
+    if (spam) {
+        lines.push(`Spam score: ${spam.score}${spam.signals.length > 0 ? ` (${spam.signals.join(', ')})` : ''}`);
+    }
+
+    return {
+        from: config.mailFrom,
+        to: config.mailTo,
+        replyTo: { name: inquiry.name, address: inquiry.email },
+        subject: `${spam && spam.flagged ? '[Spam?] ' : ''}New inquiry from ${inquiry.name}${inquiry.product ? ` (${inquiry.product})` : ''}`,
+        text: lines.join('\n')
+    };
+}
+
+function sendJSON(res, status, data) {
+    res.writeHead(status, { 'Content-Type': 'application/json; charset=utf-8' });
+    res.end(JSON.stringify(data));
+}
+
+/**
+ * Create the HTTP server
+ * @param {Object} options - store, transport (see server/mailer.js), tokens (see server/csrf.js),
+ *                           mailFrom, mailTo, allowedOrigins, path, spam (overrides of the spam-guard.js model)
+ */
+function createServer(options) {
+    const config = Object.assign({ path: '/inquiries', allowedOrigins: ['https://vuanhco.com'] }, options);
+    const tokens = config.tokens || createTokenService();
+    const spamConfig = SpamGuard.mergeConfig(config.spam);
+
+    const handleToken = (req, res) => {
+        res.setHeader('Cache-Control', 'no-store');
+        sendJSON(res, 200, tokens.issue(req.headers.origin));
+    };
+
+    const handleInquiry = async (req, res) => {
+        const fields = parseFields(req.headers['content-type'], await readBody(req));
+
+        const csrf = tokens.consume(req.headers['x-csrf-token'] || fields._csrf, req.headers.origin);
+        if (!csrf.valid) {
+            sendJSON(res, 403, { ok: false, errors: [{ field: null, code: `csrf_${csrf.reason}`, message: 'Form token missing, invalid, expired or already used' }] });
+            return;
+        }
+
+        const idempotencyKey = req.headers['idempotency-key'] || fields._idempotency_key;
+        if (idempotencyKey && !IDEMPOTENCY_KEY_PATTERN.test(idempotencyKey)) {
+            throw new HttpError(400, 'Invalid idempotency key');
+        }
+
+        const inquiry = normalizeInquiry(fields, idempotencyKey);
+
+        const validation = FormValidation.validate(inquiry);
+        if (!validation.valid) {
+            sendJSON(res, 422, {
+                ok: false,
+                errors: validation.fields.map(field => {
+                    const { key, params } = validation.errors[field];
+                    return { field, code: key, message: translate(inquiry.language, key, params) };
+                })
+            });
+            return;
+        }
+
+        inquiry.spam = await assessSpam(fields, inquiry, spamConfig);
+        if (inquiry.spam.flagged) {
+            console.log(`[Inquiry] ${inquiry.id} flagged as spam (${inquiry.spam.signals.join(', ')})`);
+        }
+
+        // A retry of a stored submission (e.g. from the offline queue) gets the first answer again
+        const { inquiry: stored, created } = await config.store.add(Object.assign({ mail: { status: 'pending' } }, inquiry));
+        if (!created) {
+            console.log(`[Inquiry] Duplicate of ${stored.id} ignored`);
+            sendJSON(res, 200, { ok: true, id: stored.id, duplicate: true });
+            return;
+        }
+
+        // The inquiry is safe in the store; a mail failure is recorded for follow-up, not reported to the visitor
+        try {
+            const result = await config.transport.send(composeMail(inquiry, config));
+            await config.store.update(inquiry.id, { mail: { status: 'sent', id: result.id } });
+        } catch (error) {
+            console.error(`[Inquiry] Mail for ${inquiry.id} failed:`, error.message);
+            await config.store.update(inquiry.id, { mail: { status: 'failed', error: error.message } });
+        }
+
+        console.log(`[Inquiry] Stored ${inquiry.id} (${inquiry.language})`);
+        sendJSON(res, 200, { ok: true, id: inquiry.id });
+    };
+
+    return http.createServer(async (req, res) => {
+        const origin = req.headers.origin;
+        if (origin) {
+            if (!config.allowedOrigins.includes(origin)) {
+                sendJSON(res, 403, { ok: false, errors: [{ message: 'Origin not allowed' }] });
+                return;
+            }
+            res.setHeader('Access-Control-Allow-Origin', origin);
+            res.setHeader('Vary', 'Origin');
+        }
+
+        const pathname = new URL(req.url, 'http://localhost').pathname;
+        const route = pathname === config.path ? 'inquiry' : pathname === `${config.path}/token` ? 'token' : null;
+        if (!route) {
+            sendJSON(res, 404, { ok: false, errors: [{ message: 'Not found' }] });
+            return;
+        }
+
+        const method = route === 'token' ? 'GET' : 'POST';
+        if (req.method === 'OPTIONS') {
+            res.writeHead(204, {
+                'Access-Control-Allow-Methods': `${method}, OPTIONS`,
+                'Access-Control-Allow-Headers': 'Content-Type, Accept, X-CSRF-Token, Idempotency-Key',
+                'Access-Control-Max-Age': '86400'
+            });
+            res.end();
+            return;
+        }
+        if (req.method !== method) {
+            res.setHeader('Allow', `${method}, OPTIONS`);
+            sendJSON(res, 405, { ok: false, errors: [{ message: 'Method not allowed' }] });
+            return;
+        }
+
+        try {
+            if (route === 'token') {
+                handleToken(req, res);
+            } else {
+                await handleInquiry(req, res);
+            }
+        } catch (error) {
+            if (!(error instanceof HttpError)) console.error('[Inquiry] Request failed:', error);
+            if (!res.headersSent) {
+                sendJSON(res, error.status || 500, { ok: false, errors: [{ message: error.status ? error.message : 'Internal error' }] });
+            }
+        }
+    });
+}
+
+if (require.main === module) {
+    const env = process.env;
+    const mailTo = (env.MAIL_TO || 'vuanh@vuanhco.com').split(',').map(address => address.trim()).filter(Boolean);
+
+    try {
+        const transport = createTransport(env);
+        const server = createServer({
+            path: env.INQUIRY_PATH || '/inquiries',
+            allowedOrigins: (env.ALLOWED_ORIGINS || 'https://vuanhco.com').split(',').map(origin => origin.trim()),
+            store: createStore(env.INQUIRY_STORE || path.join(__dirname, 'data', 'inquiries.json')),
+            transport,
+            tokens: createTokenService({ secret: env.CSRF_SECRET }),
+            mailFrom: env.MAIL_FROM || 'noreply@vuanhco.com',
+            mailTo,
+            spam: JSON.parse(env.SPAM_CONFIG || '{}')
+        });
+
+        const port = parseInt(env.PORT || '8787', 10);
+        server.listen(port, () => {
+            console.log(`[Inquiry] Listening on :${port} (mail transport: ${transport.name})`);
+        });
+    } catch (error) {
+        console.error('[Inquiry] Failed to start:', error.message);
+        process.exitCode = 1;
+    }
+}
+
+module.exports = { createServer, normalizeInquiry, parseFields, composeMail, assessSpam, translate };
@@ -0,0 +1,255 @@
+/**
+ * Mail Transports for the Vu Anh Inquiry Service
+ * A transport is { name, send(message) } where message is { from, to: [], replyTo, subject, text }
+ * and send resolves to { id }. createTransport picks one from the environment:
+ *   smtp - minimal SMTP client (STARTTLS or implicit TLS, AUTH PLAIN), no dependencies
+ *   mock - keeps messages in memory (transport.sent) for local runs and tests, only when asked for
+ */
+
+const crypto = require('crypto');
+const net = require('net');
+const os = require('os');
+const tls = require('tls');
+
+/**
+ * Strip line breaks from header values (no header injection through form fields)
+ */
+function headerValue(value) {
+    return String(value || '').replace(/[\r\n]+/g, ' ').trim();
+}
+
+/**
+ * RFC 2047 encoded words for non-ASCII header text (split so no word exceeds 75 chars)
+ */
+function encodeHeader(value) {
+    const text = headerValue(value);
+    if (/^[\x20-\x7e]*$/.test(text)) return text;
+
+    const words = [];
+    let chunk = '';
+    for (const char of text) {
+        if (Buffer.byteLength(chunk + char) > 45) {
+            words.push(chunk);
+            chunk = '';
+        }
+        chunk += char;
+    }
+    words.push(chunk);
+    return words.map(word => `=?UTF-8?B?${Buffer.from(word).toString('base64')}?=`).join('\r\n ');
+}
+
+/**
+ * Address header: 'a@b.c' or { name, address } → '=?UTF-8?B?...?= <a@b.c>'
+ */
+function formatAddress(value) {
+    if (typeof value === 'string') return headerValue(value);
+    return value.name ? `${encodeHeader(value.name)} <${headerValue(value.address)}>` : headerValue(value.address);
+}
+
+function addressOf(value) {
+    return headerValue(typeof value === 'string' ? value : value.address);
+}
+
+/**
+ * Build an RFC 5322 message (UTF-8 plain text, base64 body)
+ */
+function buildMessage(message, id) {
+    const body = Buffer.from(message.text || '').toString('base64').replace(/.{76}(?=.)/g, '$&\r\n');
+    const headers = [
+        `From: ${formatAddress(message.from)}`,
+        `To: ${message.to.map(formatAddress).join(', ')}`,
+        ...(message.replyTo ? [`Reply-To: ${formatAddress(message.replyTo)}`] : []),
+        `Subject: ${encodeHeader(message.subject)}`,
+        `Date: ${new Date().toUTCString().replace('GMT', '+0000')}`,
+        `Message-ID: ${id}`,
+        'MIME-Version: 1.0',
+        'Content-Type: text/plain; charset=utf-8',
+        'Content-Transfer-Encoding: base64'
+    ];
+    return `${headers.join('\r\n')}\r\n\r\n${body}`;
+}
+
+function createMessageId(from) {
+    const domain = addressOf(from).split('@')[1] || os.hostname();
+    return `<${crypto.randomUUID()}@${domain}>`;
+}
+
+/**
+ * Read SMTP replies from a socket: each call of the returned function resolves to the next { code, text }
+ */
+function createReplyReader(socket) {
+    const lines = [];
+    let buffer = '';
+    let waiting = null;
+    let failure = null;
+
+    const flush = () => {
+        if (!waiting) return;
+        const pending = waiting;
+        const end = lines.findIndex(line => /^\d{3}(?: |$)/.test(line));
+
+        if (end !== -1) {
+            const reply = lines.splice(0, end + 1);
+            waiting = null;
+            pending.resolve({ code: parseInt(reply[end].slice(0, 3), 10), text: reply.map(line => line.slice(4)).join('\n') });
+        } else if (failure) {
+            waiting = null;
+            pending.reject(failure);
+        }
+    };
+
+    socket.on('data', (chunk) => {
+        buffer += chunk.toString('latin1');
+        const parts = buffer.split('\r\n');
+        buffer = parts.pop();
+        lines.push(...parts);
+        flush();
+    });
+    socket.on('error', (error) => {
+        failure = error;
+        flush();
+    });
+    socket.on('close', () => {
+        failure = failure || new Error('SMTP connection closed');
+        flush();
+    });
+
+    return () => new Promise((resolve, reject) => {
+        waiting = { resolve, reject };
+        flush();
+    });
+}
+
+/**
+ * Open a connection (or upgrade a plain one with STARTTLS) → { socket, read }
+ */
+function openConnection(config, plainSocket) {
+    return new Promise((resolve, reject) => {
+        const secure = config.secure || Boolean(plainSocket);
+        const socket = secure
+            ? tls.connect({ host: config.host, port: config.port, servername: config.host, socket: plainSocket })
+            : net.connect({ host: config.host, port: config.port });
+
+        socket.setTimeout(config.timeout, () => socket.destroy(new Error('SMTP timeout')));
+        socket.once('error', reject);
+        socket.once(secure ? 'secureConnect' : 'connect', () => {
+            socket.removeListener('error', reject);
+            resolve({ socket, read: createReplyReader(socket) });
+        });
+    });
+}
+
+/**
+ * Send one command (or null to read the greeting) and check the reply code
+ * label is used in errors instead of the line (keeps credentials out of logs)
+ */
+async function command(connection, line, expected, label) {
+    if (line !== null) connection.socket.write(`${line}\r\n`);
+
+    const reply = await connection.read();
+    if (![].concat(expected).includes(reply.code)) {
+        throw new Error(`SMTP ${label || (line ? line.split(' ')[0] : 'greeting')} failed: ${reply.code} ${reply.text}`);
+    }
+    return reply.text;
+}
+
+async function sendSmtp(config, message) {
+    const id = createMessageId(message.from);
+    let connection = await openConnection(config);
+    let encrypted = config.secure;
+
+    try {
+        await command(connection, null, 220);
+        let capabilities = await command(connection, `EHLO ${config.name}`, 250);
+
+        if (!encrypted && /^STARTTLS$/mi.test(capabilities)) {
+            await command(connection, 'STARTTLS', 220);
+            connection.socket.removeAllListeners('data');
+            connection = await openConnection(config, connection.socket);
+            encrypted = true;
+            capabilities = await command(connection, `EHLO ${config.name}`, 250);
+        }
+
+        if (config.user) {
+            // Credentials never go over a plain connection (server without STARTTLS, or stripped by a MITM)
+            if (!encrypted) {
+                throw new Error('SMTP AUTH refused: the connection is not encrypted (server offers no STARTTLS; use SMTP_SECURE=true for implicit TLS)');
+            }
+            const credentials = Buffer.from(`\0${config.user}\0${config.pass || ''}`).toString('base64');
+            await command(connection, `AUTH PLAIN ${credentials}`, 235, 'AUTH');
+        }
+
+        await command(connection, `MAIL FROM:<${addressOf(message.from)}>`, 250);
+        for (const recipient of message.to) {
+            await command(connection, `RCPT TO:<${addressOf(recipient)}>`, [250, 251]);
+        }
+
+        // Lines starting with '.' are doubled so they can't end the DATA block
+        await command(connection, 'DATA', 354);
+        await command(connection, `${buildMessage(message, id).replace(/^\./gm, '..')}\r\n.`, 250, 'message');
+        await command(connection, 'QUIT', 221).catch(() => {});
+
+        return { id };
+    } finally {
+        connection.socket.end();
+    }
+}
+
+/**
+ * SMTP transport
+ * @param {Object} options - host, port (465 with secure, else 587), secure (implicit TLS), user, pass, name (EHLO), timeout (ms)
+ */
+function createSmtpTransport(options) {
+    const config = Object.assign({ secure: false, name: os.hostname(), timeout: 15000 }, options);
+    if (!config.port) config.port = config.secure ? 465 : 587;
+    if (!config.host) throw new Error('SMTP host is not configured');
+
+    return {
+        name: 'smtp',
+        send: (message) => sendSmtp(config, message)
+    };
+}
+
+/**
+ * Mock transport: records messages (with the raw RFC 5322 text) instead of sending them
+ */
+function createMockTransport(options = {}) {
+    const sent = [];
+
+    return {
+        name: 'mock',
+        sent,
+        send: async (message) => {
+            const id = createMessageId(message.from);
+            sent.push(Object.assign({ id, raw: buildMessage(message, id) }, message));
+            if (options.log !== false) {
+                console.log(`[Mailer] (mock) "${message.subject}" to ${message.to.map(addressOf).join(', ')}`);
+            }
+            return { id };
+        }
+    };
+}
+
+/**
+ * Transport from environment variables: MAIL_TRANSPORT (smtp|mock, default smtp),
+ * SMTP_HOST (required for smtp), SMTP_PORT, SMTP_SECURE (true for implicit TLS), SMTP_USER, SMTP_PASS
+ * Throws when SMTP is not configured, so a misconfigured service fails at startup instead of dropping mail
+ */
+function createTransport(env = process.env) {
+    const type = env.MAIL_TRANSPORT || 'smtp';
+
+    if (type === 'mock') return createMockTransport();
+    if (type === 'smtp') {
+        if (!env.SMTP_HOST) throw new Error('SMTP_HOST is not set (MAIL_TRANSPORT=mock only logs mail, for local runs)');
+        return createSmtpTransport({
+            host: env.SMTP_HOST,
+            ...(env.SMTP_PORT ? { port: parseInt(env.SMTP_PORT, 10) } : {}),
+            secure: env.SMTP_SECURE === 'true',
+            user: env.SMTP_USER,
+            pass: env.SMTP_PASS
+        });
+    }
+    throw new Error(`Unknown MAIL_TRANSPORT: ${type}`);
+}
+
+module.exports = { createTransport, createSmtpTransport, createMockTransport, buildMessage };
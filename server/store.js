@@ -0,0 +1,73 @@
+/**
+ * Inquiry Store for the Vu Anh Inquiry Service
+ * Keeps inquiries in one JSON file (array, oldest first). Writes are serialized and
+ * go through a temp file + rename, so a crash never leaves a half-written file.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * @param {string} file - Path of the JSON file (created on first write)
+ */
+function createStore(file) {
+    let queue = Promise.resolve();
+
+    // Run tasks one after another (read-modify-write must not interleave)
+    const serialize = (task) => {
+        const run = queue.then(task);
+        queue = run.catch(() => {});
+        return run;
+    };
+
+    const read = async () => {
+        try {
+            return JSON.parse(await fs.promises.readFile(file, 'utf8'));
+        } catch (error) {
+            if (error.code === 'ENOENT') return [];
+            throw error;
+        }
+    };
+
+    const write = async (inquiries) => {
+        const temp = `${file}.${process.pid}.tmp`;
+        await fs.promises.mkdir(path.dirname(file), { recursive: true });
+        await fs.promises.writeFile(temp, JSON.stringify(inquiries, null, 2) + '\n');
+        await fs.promises.rename(temp, file);
+    };
+
+    return {
+        file,
+
+        /**
+         * Append an inquiry unless one with the same idempotency key is stored → { inquiry, created }
+         */
+        add: (inquiry) => serialize(async () => {
+            const inquiries = await read();
+            const existing = inquiry.idempotencyKey &&
+                inquiries.find(item => item.idempotencyKey === inquiry.idempotencyKey);
+            if (existing) return { inquiry: existing, created: false };
+
+            inquiries.push(inquiry);
+            await write(inquiries);
+            return { inquiry, created: true };
+        }),
+
+        /**
+         * Merge changes into a stored inquiry (null when the id is unknown)
+         */
+        update: (id, changes) => serialize(async () => {
+            const inquiries = await read();
+            const inquiry = inquiries.find(item => item.id === id);
+            if (!inquiry) return null;
+
+            Object.assign(inquiry, changes);
+            await write(inquiries);
+            return inquiry;
+        }),
+
+        list: () => serialize(read)
+    };
+}
+
+module.exports = { createStore };
@@ -0,0 +1,215 @@
+/**
+ * Spam Guard for Vu Anh Website
+ * Layered spam signals for the inquiry form: honeypot field, time to submit, links, keywords in every site
+ * language, repeated characters and an optional proof-of-work. Nothing is blocked here: the score travels
+ * with the submission and the receiving side (Formspree, server/inquiry-server.js) decides.
+ * Shared by form-handler.js and the inquiry service; the page can override the model in
+ * <script type="application/json" id="spamGuard">{ ... }</script>
+ */
+
+const SpamGuard = {
+    defaults: {
+        // Score from which a submission is marked as likely spam
+        threshold: 5,
+
+        // Faster than this (ms from showing the form to submitting it) is not a person typing
+        minFillTime: 3000,
+
+        // Links allowed before each further one counts
+        freeUrls: 1,
+
+        // Proof-of-work difficulty: leading zero bits of SHA-256 (0 = off, 14 ≈ a second on a phone)
+        powBits: 0,
+
+        weights: {
+            honeypot: 10,
+            tooFast: 4,
+            url: 2,
+            keyword: 3,
+            repeated: 3,
+            markup: 3,
+            pow: 5
+        },
+
+        // Checked in every submission whatever the page language (matched case-insensitively;
+        // ASCII keywords as whole words)
+        keywords: {
+            en: ['viagra', 'cialis', 'casino', 'lottery', 'bitcoin', 'forex', 'seo services', 'backlinks', 'payday loan', 'porn'],
+            vi: ['cá độ', 'nhà cái', 'cờ bạc', 'xổ số', 'lô đề', 'vay tiền nhanh', 'tăng like'],
+            cn: ['博彩', '赌场', '六合彩', '代开发票', '刷单', '色情'],
+            ko: ['카지노', '토토', '바카라', '도박', '성인용품'],
+            ja: ['カジノ', '出会い系', '副業', '稼げる', 'ギャンブル', 'アダルト']
+        }
+    },
+
+    // Formspree discards submissions with this field filled; the inquiry service scores it
+    honeypotField: '_gotcha',
+
+    config: null,
+    startedAt: null,
+
+    // Set by watch(): a form submitted without any focus or typing in it was not filled in by a person
+    watching: false,
+
+    /**
+     * Defaults with overrides (weights merged per signal, keyword lists replaced per language)
+     */
+    mergeConfig: function(overrides = {}) {
+        return Object.assign({}, this.defaults, overrides, {
+            weights: Object.assign({}, this.defaults.weights, overrides.weights),
+            keywords: Object.assign({}, this.defaults.keywords, overrides.keywords)
+        });
+    },
+
+    /**
+     * Model of the page (defaults merged with #spamGuard), read once
+     */
+    getConfig: function() {
+        if (this.config) return this.config;
+
+        let overrides = {};
+        const element = typeof document !== 'undefined' && document.getElementById('spamGuard');
+        if (element) {
+            try {
+                overrides = JSON.parse(element.textContent) || {};
+            } catch (error) {
+                console.error('[SpamGuard] Invalid configuration:', error);
+            }
+        }
+        this.config = this.mergeConfig(overrides);
+        return this.config;
+    },
+
+    /**
+     * Start the time-to-submit clock when the visitor first focuses or types in the form, not when the
+     * page loads (the form is far down the page), and again after each reset()
+     */
+    watch: function(form) {
+        this.watching = true;
+        this.reset();
+        ['focusin', 'input'].forEach(type => form.addEventListener(type, () => {
+            if (this.startedAt === null) this.start();
+        }));
+    },
+
+    start: function() {
+        this.startedAt = Date.now();
+    },
+
+    /**
+     * Stop the clock until the visitor starts on the form again (form emptied after a submission)
+     */
+    reset: function() {
+        this.startedAt = null;
+    },
+
+    /**
+     * Score a submission
+     * @param {Object} data - name, message, items, honeypot (value of the hidden field),
+     *                        fillTime (ms from the first focus or input, null when unknown), powValid
+     * @param {Object} config - Model (see defaults)
+     * @returns {Object} { score, signals: ['honeypot', 'tooFast', 'urls:3', 'keyword:casino', ...], spam }
+     */
+    score: function(data, config = this.getConfig()) {
+        const weights = config.weights;
+        const signals = [];
+        let score = 0;
+        const add = (signal, points) => {
+            signals.push(signal);
+            score += points;
+        };
+
+        if (data.honeypot) add('honeypot', weights.honeypot);
+        if (typeof data.fillTime === 'number' && data.fillTime < config.minFillTime) add('tooFast', weights.tooFast);
+
+        const notes = (data.items || []).map(item => item.notes || '');
+        const text = [data.name, data.message, ...notes].filter(Boolean).join('\n');
+
+        const urls = (text.match(/(?:https?:\/\/|www\.)\S+/gi) || []).length;
+        if (urls > config.freeUrls) add(`urls:${urls}`, (urls - config.freeUrls) * weights.url);
+
+        Object.values(config.keywords).forEach(list => list.forEach(keyword => {
+            if (this.hasKeyword(text, keyword)) add(`keyword:${keyword}`, weights.keyword);
+        }));
+
+        if (/(.)\1{19,}/.test(text)) add('repeated', weights.repeated);
+        if (/\[(?:url|link)=/i.test(text)) add('markup', weights.markup);
+        if (config.powBits > 0 && !data.powValid) add('pow', weights.pow);
+
+        return { score, signals, spam: score >= config.threshold };
+    },
+
+    hasKeyword: function(text, keyword) {
+        if (/^[\x20-\x7e]+$/.test(keyword)) {
+            const escaped = keyword.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+            return new RegExp(`\\b${escaped}\\b`, 'i').test(text);
+        }
+        return text.toLowerCase().includes(keyword.toLowerCase());
+    },
+
+    /**
+     * Signals of a submission from the form, sent with it: { score, signals, fillTime, honeypot, pow }
+     * Solves the proof-of-work first when the model asks for one
+     * @param {Object} submission - FormHandler submission (idempotencyKey and timestamp set)
+     * @param {string} honeypot - Value of the hidden field
+     */
+    check: async function(submission, honeypot) {
+        const config = this.getConfig();
+        // Unknown without watch(); a watched form nobody touched was filled in by a script
+        let fillTime = this.watching ? 0 : null;
+        if (this.startedAt !== null) fillTime = submission.timestamp - this.startedAt;
+
+        let pow = null;
+        if (config.powBits > 0) {
+            try {
+                pow = await this.solveProofOfWork(this.getChallenge(submission.idempotencyKey, submission.timestamp), config.powBits);
+            } catch (error) {
+                console.warn('[SpamGuard] Proof-of-work failed:', error.message);
+            }
+        }
+
+        const result = this.score({ ...submission, honeypot, fillTime, powValid: pow !== null }, config);
+        return { score: result.score, signals: result.signals, fillTime, honeypot: honeypot || '', pow };
+    },
+
+    /**
+     * Proof-of-work input: the submission's idempotency key and timestamp (as sent in _timestamp),
+     * so the inquiry service can check it without handing out challenges
+     */
+    getChallenge: function(idempotencyKey, timestamp) {
+        return `${idempotencyKey}:${new Date(timestamp).toISOString()}`;
+    },
+
+    /**
+     * Find a nonce for which SHA-256("<challenge>:<nonce>") starts with bits zero bits
+     * @returns {Promise<string|null>} null when none was found within the try limit
+     */
+    solveProofOfWork: async function(challenge, bits) {
+        const limit = Math.pow(2, bits + 4);
+        for (let nonce = 0; nonce < limit; nonce++) {
+            if (await this.verifyProofOfWork(challenge, String(nonce), bits)) return String(nonce);
+        }
+        return null;
+    },
+
+    verifyProofOfWork: async function(challenge, nonce, bits) {
+        if (!nonce) return false;
+
+        const hash = new Uint8Array(await crypto.subtle.digest('SHA-256', new TextEncoder().encode(`${challenge}:${nonce}`)));
+        let zeros = 0;
+        for (const byte of hash) {
+            if (byte === 0) {
+                zeros += 8;
+                continue;
+            }
+            zeros += Math.clz32(byte) - 24;
+            break;
+        }
+        return zeros >= bits;
+    }
+};
+
+// Export for use in other scripts
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = SpamGuard;
+}
@@ -1,30 +1,63 @@
 /**
  * Service Worker for Vu Anh Website PWA
  * Provides offline functionality and caching
- * Version: 1.0.0
+ * Version: 1.16.14
  */
 
-const CACHE_NAME = 'vuanh-v1.0.0';
+// Locale registry (i18n.locales) shared with the page
+importScripts('/i18n.js');
+
+// Offline inquiry queue and its transports, shared with the page
+importScripts('/security-utils.js', '/spam-guard.js', '/inquiry-transports.js', '/inquiry-queue.js');
+
+const CACHE_NAME = 'vuanh-v1.16.14';
 const RUNTIME_CACHE = 'vuanh-runtime';
+const SETTINGS_CACHE = 'vuanh-settings';
+const LANGUAGE_SETTING_URL = '/__settings/language';
+
+// Translation bundles cached by i18n.js (versioned by content hash, kept across updates)
+const I18N_CACHE = i18n.bundleCache;
+const I18N_MANIFEST_URL = `${i18n.bundleBase}/manifest.json`;
+
+// Used when no translation bundle is cached
+const OFFLINE_PAGE_FALLBACK = {
+  pageTitle: 'Offline - Vu Anh Industrial Equipment',
+  title: 'You\u2019re Offline',
+  message: 'It looks like you\u2019ve lost your internet connection. Please check your network and try again.',
+  retry: 'Retry'
+};
 
 // Assets to cache on install
 const PRECACHE_URLS = [
   '/',
   '/index.html',
+  // Prerendered page of every other language (/vi/, /cn/, ...)
+  ...i18n.supportedLangs.filter(lang => lang !== i18n.defaultLang).map(lang => `/${lang}/`),
   '/style.css',
   '/enhancements.css',
   '/script.js',
+  '/catalog.js',
+  '/product-detail.js',
+  '/product-search.js',
+  '/product-filter.js',
+  '/product-compare.js',
+  '/quote-cart.js',
   '/i18n.js',
   '/analytics.js',
+  '/phone-numbers.js',
+  '/form-validation.js',
+  '/spam-guard.js',
+  '/inquiry-transports.js',
+  '/inquiry-queue.js',
+  '/pending-submissions.js',
   '/form-handler.js',
   '/pwa-prompt.js',
   '/security-utils.js',
   '/manifest.json',
   '/logos/vuanh-logo.png',
   '/logos/vuanh-logo1.png',
-  '/i18n/en.json',
-  '/i18n/vi.json',
-  '/i18n/cn.json',
+  ...i18n.supportedLangs.map(lang => `/i18n/${lang}.json`),
+  '/data/products.json',
   'https://fonts.googleapis.com/css2?family=Montserrat:wght@400;500;700&display=swap'
 ];
 
@@ -57,7 +90,7 @@ self.addEventListener('activate', (event) => {
       .then((cacheNames) => {
         return Promise.all(
           cacheNames.map((cacheName) => {
-            if (cacheName !== CACHE_NAME && cacheName !== RUNTIME_CACHE) {
+            if (![CACHE_NAME, RUNTIME_CACHE, SETTINGS_CACHE, I18N_CACHE].includes(cacheName)) {
               console.log('[SW] Deleting old cache:', cacheName);
               return caches.delete(cacheName);
             }
@@ -91,12 +124,18 @@ self.addEventListener('fetch', (event) => {
     return;
   }
 
-  // Handle API requests (Formspree) - always network
-  if (url.hostname === 'formspree.io') {
+  // Handle API requests (Formspree, same-origin inquiry service and its one-time tokens) - always network
+  if (url.hostname === 'formspree.io' || request.method !== 'GET' || request.cache === 'no-store') {
     event.respondWith(fetch(request));
     return;
   }
 
+  // Bundle manifest must stay fresh (new hashes = new translations)
+  if (url.pathname === I18N_MANIFEST_URL) {
+    event.respondWith(handleNetworkFirstRequest(request));
+    return;
+  }
+
   // Handle navigation requests
   if (request.mode === 'navigate') {
     event.respondWith(handleNavigationRequest(request));
@@ -132,17 +171,19 @@ async function handleNavigationRequest(request) {
       return cachedResponse;
     }
     
-    // Fallback to index.html for SPA routing
-    const indexResponse = await caches.match('/index.html');
-    if (indexResponse) {
-      return indexResponse;
+    // Fallback to the prerendered page of the visitor's language
+    const lang = await getOfflineLanguage(request);
+    const pageResponse = await caches.match(lang === i18n.defaultLang ? '/index.html' : `/${lang}/`);
+    if (pageResponse) {
+      return pageResponse;
     }
     
-    // Last resort: offline page
+    // Last resort: offline page in the visitor's language
+    const strings = await getOfflineStrings(lang);
     return new Response(
-      createOfflinePage(),
+      createOfflinePage(strings, i18n.getLangCode(lang)),
       {
-        headers: { 'Content-Type': 'text/html' }
+        headers: { 'Content-Type': 'text/html; charset=utf-8' }
       }
     );
   }
@@ -189,6 +230,30 @@ async function handleResourceRequest(request) {
   }
 }
 
+/**
+ * Handle requests that must be up to date when online
+ * Strategy: Network first, fallback to cache
+ */
+async function handleNetworkFirstRequest(request) {
+  try {
+    const networkResponse = await fetch(request);
+    if (networkResponse.ok) {
+      const cache = await caches.open(RUNTIME_CACHE);
+      cache.put(request, networkResponse.clone());
+    }
+    return networkResponse;
+  } catch (error) {
+    const cachedResponse = await caches.match(request);
+    if (cachedResponse) {
+      return cachedResponse;
+    }
+    return new Response('Resource not available offline', {
+      status: 503,
+      statusText: 'Service Unavailable'
+    });
+  }
+}
+
 /**
  * Handle Google Fonts requests
  * Strategy: Cache with long expiration
@@ -214,17 +279,92 @@ async function handleFontRequest(request) {
   }
 }
 
+/**
+ * Language for the offline page
+ * Priority: 1. Path prefix (/vi/, /ko/, ...) 2. ?lang= of the request 3. Language saved by the page
+ * 4. Accept-Language 5. English
+ */
+async function getOfflineLanguage(request) {
+  const url = new URL(request.url);
+  const pathLang = url.pathname.split('/')[1];
+  if (pathLang && i18n.locales[pathLang]) {
+    return pathLang;
+  }
+
+  const urlLang = url.searchParams.get('lang');
+  if (urlLang && i18n.locales[urlLang]) {
+    return urlLang;
+  }
+
+  try {
+    const cache = await caches.open(SETTINGS_CACHE);
+    const saved = await cache.match(LANGUAGE_SETTING_URL);
+    if (saved) {
+      const savedLang = await saved.text();
+      if (i18n.locales[savedLang]) return savedLang;
+    }
+  } catch (error) {
+    console.warn('[SW] Could not read saved language:', error);
+  }
+
+  // Accept-Language: "ko-KR,ko;q=0.9,en;q=0.8" (listed in order of preference)
+  const acceptLanguages = (request.headers.get('Accept-Language') || '').split(',');
+  for (const entry of acceptLanguages) {
+    const lang = i18n.matchLocale(entry.split(';')[0].trim());
+    if (lang) return lang;
+  }
+
+  return i18n.defaultLang;
+}
+
+/**
+ * Save the visitor's language (sent by i18n.js) for the offline page
+ */
+async function saveLanguage(lang) {
+  if (!i18n.locales[lang]) return;
+
+  const cache = await caches.open(SETTINGS_CACHE);
+  await cache.put(LANGUAGE_SETTING_URL, new Response(lang));
+}
+
+/**
+ * Offline page strings from the cached translation bundle
+ */
+async function getOfflineStrings(lang) {
+  try {
+    const response = await caches.match(`/i18n/${lang}.json`);
+    if (response) {
+      const translations = await response.json();
+      return { ...OFFLINE_PAGE_FALLBACK, ...translations.offlinePage };
+    }
+  } catch (error) {
+    console.warn('[SW] Could not read offline translations:', error);
+  }
+
+  return OFFLINE_PAGE_FALLBACK;
+}
+
+function escapeHTML(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
 /**
  * Create offline fallback page
+ * @param {Object} strings - { pageTitle, title, message, retry }
+ * @param {string} langCode - Value of the html lang attribute
  */
-function createOfflinePage() {
+function createOfflinePage(strings = OFFLINE_PAGE_FALLBACK, langCode = 'en') {
   return `
 <!DOCTYPE html>
-<html lang="en">
+<html lang="${escapeHTML(langCode)}">
 <head>
   <meta charset="UTF-8">
   <meta name="viewport" content="width=device-width, initial-scale=1.0">
-  <title>Offline - Vu Anh Industrial Equipment</title>
+  <title>${escapeHTML(strings.pageTitle)}</title>
   <style>
     * { margin: 0; padding: 0; box-sizing: border-box; }
     body {
@@ -278,9 +418,9 @@ function createOfflinePage() {
 <body>
   <div class="offline-container">
     <div class="offline-icon">📡</div>
-    <h1>You're Offline</h1>
-    <p>It looks like you've lost your internet connection. Please check your network and try again.</p>
-    <button class="retry-btn" onclick="window.location.reload()">Retry</button>
+    <h1>${escapeHTML(strings.title)}</h1>
+    <p>${escapeHTML(strings.message)}</p>
+    <button class="retry-btn" onclick="window.location.reload()">${escapeHTML(strings.retry)}</button>
   </div>
 </body>
 </html>
@@ -293,6 +433,10 @@ self.addEventListener('message', (event) => {
     self.skipWaiting();
   }
   
+  if (event.data && event.data.type === 'SET_LANGUAGE') {
+    event.waitUntil(saveLanguage(event.data.lang));
+  }
+  
   if (event.data && event.data.type === 'CLEAR_CACHE') {
     event.waitUntil(
       caches.keys().then((cacheNames) => {
@@ -304,27 +448,38 @@ self.addEventListener('message', (event) => {
   }
 });
 
-// Background sync for offline form submissions (if supported)
+// Background sync for offline form submissions (registered by form-handler.js)
 self.addEventListener('sync', (event) => {
-  if (event.tag === 'sync-form-submissions') {
-    event.waitUntil(syncFormSubmissions());
+  if (event.tag === InquiryQueue.syncTag) {
+    event.waitUntil(syncFormSubmissions(event.lastChance));
   }
 });
 
 /**
- * Sync offline form submissions when back online
+ * Send the due queued submissions and report the result to open tabs
+ * Rejects while submissions wait for a retry, so the browser schedules another sync
  */
-async function syncFormSubmissions() {
+async function syncFormSubmissions(lastChance) {
   console.log('[SW] Syncing form submissions...');
   
-  // This would integrate with form-handler.js
-  // For now, just log
-  const clients = await self.clients.matchAll();
+  const status = await InquiryQueue.flush((submission, transports) => {
+    return InquiryTransports.send(submission, { transports });
+  }, (progress) => notifyClients({ type: 'INQUIRY_PROGRESS', ...progress }));
+  
+  await notifyClients({ type: 'INQUIRY_QUEUE', ...status });
+  
+  if (status.pending > 0 && !lastChance) {
+    throw new Error(`${status.pending} submission(s) waiting for retry`);
+  }
+}
+
+/**
+ * Post a message to every open tab (also tabs not yet controlled by this worker)
+ */
+async function notifyClients(message) {
+  const clients = await self.clients.matchAll({ type: 'window', includeUncontrolled: true });
   clients.forEach((client) => {
-    client.postMessage({
-      type: 'SYNC_FORMS',
-      message: 'Attempting to sync offline submissions'
-    });
+    client.postMessage(message);
   });
 }
 
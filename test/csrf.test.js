@@ -0,0 +1,71 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { createTokenService } = require('../server/csrf.js');
+
+const ORIGIN = 'https://vuanhco.com';
+
+test('a token is valid once, for the origin it was issued to', () => {
+    const tokens = createTokenService({ secret: 'test-secret' });
+    const { token, expiresAt } = tokens.issue(ORIGIN);
+
+    assert.ok(Date.parse(expiresAt) > Date.now());
+    assert.deepEqual(tokens.consume(token, ORIGIN), { valid: true });
+    assert.deepEqual(tokens.consume(token, ORIGIN), { valid: false, reason: 'used' });
+});
+
+test('missing and malformed tokens are rejected', () => {
+    const tokens = createTokenService({ secret: 'test-secret' });
+
+    assert.deepEqual(tokens.consume('', ORIGIN), { valid: false, reason: 'missing' });
+    assert.deepEqual(tokens.consume(undefined, ORIGIN), { valid: false, reason: 'missing' });
+    assert.deepEqual(tokens.consume('not-a-token', ORIGIN), { valid: false, reason: 'invalid' });
+    assert.deepEqual(tokens.consume('a.b.c.d', ORIGIN), { valid: false, reason: 'invalid' });
+});
+
+test('forged signatures, other origins and other secrets are rejected', () => {
+    const tokens = createTokenService({ secret: 'test-secret' });
+    const [nonce, expires, signature] = tokens.issue(ORIGIN).token.split('.');
+
+    // Flipped signature character
+    const flipped = (signature[0] === 'A' ? 'B' : 'A') + signature.slice(1);
+    assert.equal(tokens.consume(`${nonce}.${expires}.${flipped}`, ORIGIN).reason, 'invalid');
+
+    // Expiry pushed back without re-signing
+    assert.equal(tokens.consume(`${nonce}.${Number(expires) + 3600000}.${signature}`, ORIGIN).reason, 'invalid');
+
+    // Issued to a different page, or by a service with a different secret
+    assert.equal(tokens.consume(`${nonce}.${expires}.${signature}`, 'https://evil.example').reason, 'invalid');
+    const other = createTokenService({ secret: 'other-secret' });
+    assert.equal(other.consume(`${nonce}.${expires}.${signature}`, ORIGIN).reason, 'invalid');
+
+    // The untouched token still works
+    assert.deepEqual(tokens.consume(`${nonce}.${expires}.${signature}`, ORIGIN), { valid: true });
+});
+
+test('tokens expire after the ttl', (t) => {
+    const realNow = Date.now;
+    let now = realNow();
+    Date.now = () => now;
+    t.after(() => {
+        Date.now = realNow;
+    });
+
+    const tokens = createTokenService({ secret: 'test-secret', ttl: 60000 });
+    const first = tokens.issue(ORIGIN).token;
+    const second = tokens.issue(ORIGIN).token;
+
+    now += 59999;
+    assert.deepEqual(tokens.consume(first, ORIGIN), { valid: true });
+
+    now += 1;
+    assert.deepEqual(tokens.consume(second, ORIGIN), { valid: false, reason: 'expired' });
+
+    // A used token stays used until it expires, and is reported as expired after that
+    assert.equal(tokens.consume(first, ORIGIN).reason, 'expired');
+});
+
+test('a random secret per service: tokens do not survive a restart without CSRF_SECRET', () => {
+    const { token } = createTokenService().issue(ORIGIN);
+    assert.equal(createTokenService().consume(token, ORIGIN).reason, 'invalid');
+});
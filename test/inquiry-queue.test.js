@@ -0,0 +1,407 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const InquiryQueue = require('../inquiry-queue.js');
+
+/**
+ * Object stores kept in Maps; stands in for IndexedDB through the queue's store layer
+ * (transaction and request), so every other method runs unchanged
+ */
+function createMemoryQueue() {
+    const stores = { queue: new Map(), keys: new Map() };
+    const done = (result) => ({ result });
+    const copy = (value) => structuredClone(value);
+
+    const objectStore = (name) => {
+        const map = stores[name];
+        // Items are copied in and out like IndexedDB does; the CryptoKey is kept as is
+        const clone = name === 'keys' ? (value) => value : copy;
+        return {
+            get: (key) => done(map.has(key) ? clone(map.get(key)) : undefined),
+            getAll: () => done(Array.from(map.values(), clone)),
+            count: () => done(map.size),
+            put: (value, key) => map.set(key === undefined ? value.id : key, clone(value)),
+            add: (value, key) => {
+                if (map.has(key)) throw Object.assign(new Error('Key already exists'), { name: 'ConstraintError' });
+                map.set(key, clone(value));
+            },
+            delete: (key) => map.delete(key),
+            clear: () => map.clear(),
+            index: () => ({
+                getAll: () => done(Array.from(map.values(), clone).sort((a, b) => a.createdAt - b.createdAt))
+            })
+        };
+    };
+
+    const queue = Object.create(InquiryQueue);
+    Object.assign(queue, {
+        stores,
+        config: null,
+        dbPromise: null,
+        keyPromise: null,
+        sendInterval: 0,
+        transaction: async function(mode, work, storeName = this.storeName) {
+            return work(objectStore(storeName));
+        },
+        request: async (request) => request.result
+    });
+    return queue;
+}
+
+/**
+ * Date.now under test control: returns { now(), advance(ms) }
+ */
+function useClock(t, start = Date.parse('2026-03-01T08:00:00Z')) {
+    const realNow = Date.now;
+    let now = start;
+    Date.now = () => now;
+    t.after(() => {
+        Date.now = realNow;
+    });
+    return {
+        now: () => now,
+        advance: (ms) => {
+            now += ms;
+        }
+    };
+}
+
+const transports = [{ type: 'api', url: 'https://api.example/inquiries' }];
+
+function makeSubmission(key, fields = {}) {
+    return Object.assign({
+        name: 'Kim Minji',
+        email: 'minji@example.kr',
+        message: 'Please send a quotation for two DPM units.',
+        timestamp: Date.now(),
+        idempotencyKey: key
+    }, fields);
+}
+
+// SecurityUtils.decodeEntities without a DOM (the old form stripped <, >, and quotes before encoding)
+const decodeEntities = (text) => text.replace(/&amp;/g, '&');
+
+test('claim hands a due item to one sender at a time', async (t) => {
+    const clock = useClock(t);
+    const queue = createMemoryQueue();
+    await queue.add(makeSubmission('a'), transports);
+
+    const claimed = await queue.claim('a');
+    assert.equal(claimed.id, 'a');
+    assert.equal(claimed.claimedUntil, clock.now() + queue.claimTimeout);
+    assert.equal(await queue.claim('a'), null, 'already claimed');
+
+    // A sender that died keeps its claim only until claimTimeout
+    clock.advance(queue.claimTimeout);
+    assert.equal((await queue.claim('a')).id, 'a');
+
+    assert.equal(await queue.claim('missing'), null);
+});
+
+test('claim skips items that are not due, failed or expired', async (t) => {
+    const clock = useClock(t);
+    const queue = createMemoryQueue();
+    await queue.add(makeSubmission('later'), transports);
+    await queue.add(makeSubmission('failed'), transports);
+    await queue.add(makeSubmission('old'), transports);
+
+    queue.stores.queue.get('later').nextAttemptAt = clock.now() + 1000;
+    queue.stores.queue.get('failed').status = 'failed';
+    queue.stores.queue.get('old').expiresAt = clock.now();
+
+    assert.equal(await queue.claim('later'), null);
+    assert.equal(await queue.claim('failed'), null);
+    assert.equal(await queue.claim('old'), null);
+
+    clock.advance(1000);
+    assert.equal((await queue.claim('later')).id, 'later');
+});
+
+test('an item held for editing is not sent until released or the edit is abandoned', async (t) => {
+    const clock = useClock(t);
+    const queue = createMemoryQueue();
+    await queue.add(makeSubmission('a'), transports);
+    await queue.add(makeSubmission('b'), transports);
+
+    assert.equal((await queue.hold('a')).heldUntil, clock.now() + queue.editTimeout);
+    assert.equal(await queue.claim('a'), null);
+    assert.equal(queue.stores.queue.size, 2, 'still queued');
+
+    // "Send now" on the held item sends the original after all
+    await queue.hold('b');
+    await queue.retryNow('b');
+    assert.equal((await queue.claim('b')).id, 'b');
+
+    clock.advance(queue.editTimeout);
+    assert.equal((await queue.claim('a')).id, 'a');
+    assert.equal(await queue.hold('missing'), null);
+});
+
+test('failed attempts back off exponentially up to maxDelay', () => {
+    const queue = createMemoryQueue();
+    const minute = 60 * 1000;
+
+    assert.deepEqual([1, 2, 3, 4, 5, 6, 7, 8].map(attempts => queue.getDelay(attempts) / minute), [1, 2, 4, 8, 16, 32, 60, 60]);
+});
+
+test('recordFailure schedules the next attempt and gives up after maxAttempts', async (t) => {
+    const clock = useClock(t);
+    const queue = createMemoryQueue();
+    await queue.add(makeSubmission('a'), transports);
+    await queue.claim('a');
+
+    let item = await queue.recordFailure('a', new Error('Failed to fetch'));
+    assert.equal(item.attempts, 1);
+    assert.equal(item.status, 'pending');
+    assert.equal(item.claimedUntil, 0);
+    assert.equal(item.nextAttemptAt, clock.now() + queue.baseDelay);
+    assert.equal(item.lastError, 'Failed to fetch');
+
+    for (let attempt = 2; attempt < queue.maxAttempts; attempt++) {
+        item = await queue.recordFailure('a', new Error('Failed to fetch'));
+        assert.equal(item.status, 'pending');
+    }
+    item = await queue.recordFailure('a', new Error('Failed to fetch'));
+    assert.equal(item.attempts, queue.maxAttempts);
+    assert.equal(item.status, 'failed');
+
+    // A fresh set of attempts on request (pending panel "send now")
+    item = await queue.retryNow('a');
+    assert.equal(item.status, 'pending');
+    assert.equal(item.attempts, 0);
+    assert.equal(item.nextAttemptAt, clock.now());
+});
+
+test('a refused submission fails at once', async (t) => {
+    useClock(t);
+    const queue = createMemoryQueue();
+    await queue.add(makeSubmission('a'), transports);
+
+    const refused = Object.assign(new Error('Invalid email'), { status: 422, permanent: true });
+    const item = await queue.recordFailure('a', refused);
+    assert.equal(item.attempts, 1);
+    assert.equal(item.status, 'failed');
+});
+
+test('flush sends due items, keeps failures for later and reports progress', async (t) => {
+    const clock = useClock(t);
+    const queue = createMemoryQueue();
+    await queue.add(makeSubmission('ok'), transports);
+    clock.advance(1);
+    await queue.add(makeSubmission('offline'), transports);
+    clock.advance(1);
+    await queue.add(makeSubmission('refused'), transports);
+    clock.advance(1);
+    await queue.add(makeSubmission('later'), transports);
+    queue.stores.queue.get('later').nextAttemptAt = clock.now() + 5000;
+
+    const sent = [];
+    const progress = [];
+    const summary = await queue.flush(async (submission, itemTransports) => {
+        sent.push(submission.idempotencyKey);
+        assert.deepEqual(itemTransports, transports);
+        if (submission.idempotencyKey === 'offline') throw new TypeError('Failed to fetch');
+        if (submission.idempotencyKey === 'refused') throw Object.assign(new Error('Invalid email'), { permanent: true });
+        return { transport: 'api', delivered: true };
+    }, (event) => progress.push(`${event.id}:${event.status}`));
+
+    assert.deepEqual(sent, ['ok', 'offline', 'refused']);
+    assert.deepEqual(progress, ['ok:sending', 'ok:sent', 'offline:sending', 'offline:retry', 'refused:sending', 'refused:failed']);
+    // The next run is due when the earliest pending item is ('later', before the backoff of 'offline')
+    assert.deepEqual(summary, { sent: 1, failed: 1, pending: 2, nextAttemptAt: clock.now() + 5000 });
+    assert.deepEqual(Array.from(queue.stores.queue.keys()).sort(), ['later', 'offline', 'refused']);
+});
+
+test('flush counts a mailto-style result (not delivered) as a failed attempt', async (t) => {
+    useClock(t);
+    const queue = createMemoryQueue();
+    await queue.add(makeSubmission('a'), transports);
+
+    const summary = await queue.flush(async () => ({ transport: 'mailto', delivered: false }));
+    assert.equal(summary.sent, 0);
+    assert.equal(summary.pending, 1);
+    assert.equal(queue.stores.queue.get('a').lastError, 'Not delivered');
+});
+
+test('flush discards items that can no longer be decrypted', async (t) => {
+    useClock(t);
+    const queue = createMemoryQueue();
+    await queue.add(makeSubmission('a'), transports);
+
+    // Site data partly cleared: a new device key
+    queue.stores.keys.clear();
+    queue.keyPromise = null;
+
+    let calls = 0;
+    const summary = await queue.flush(async () => {
+        calls++;
+        return { delivered: true };
+    });
+    assert.equal(calls, 0);
+    assert.equal(summary.pending, 0);
+    assert.equal(queue.stores.queue.size, 0);
+});
+
+test('migrateLegacy encrypts plain IndexedDB items and moves the localStorage queue', async (t) => {
+    const clock = useClock(t);
+    const queue = createMemoryQueue();
+
+    const saved = { localStorage: global.localStorage, SecurityUtils: global.SecurityUtils };
+    const storage = new Map([[queue.legacyKey, JSON.stringify([
+        makeSubmission(undefined, { name: 'Legacy &amp; Lee', message: 'Quote for pumps &amp;amp; valves' })
+    ])]]);
+    global.localStorage = {
+        getItem: (key) => (storage.has(key) ? storage.get(key) : null),
+        removeItem: (key) => storage.delete(key)
+    };
+    global.SecurityUtils = { generateIdempotencyKey: () => 'generated-key', decodeEntities };
+    t.after(() => Object.assign(global, saved));
+
+    // Queued by the first IndexedDB version: submission in plain text, no expiry
+    queue.stores.queue.set('v1', {
+        id: 'v1', status: 'pending', attempts: 2, createdAt: clock.now() - 1000, nextAttemptAt: clock.now(),
+        claimedUntil: 0, lastError: 'Failed to fetch', submission: makeSubmission('v1'), transports
+    });
+
+    assert.equal(await queue.migrateLegacy([{ type: 'formspree', url: 'https://formspree.example/f/abc' }]), 2);
+    assert.equal(storage.has(queue.legacyKey), false);
+
+    const v1 = queue.stores.queue.get('v1');
+    assert.equal(v1.submission, undefined);
+    assert.equal(v1.transports, undefined);
+    assert.ok(v1.data && v1.iv);
+    assert.equal(v1.attempts, 2, 'retry state kept');
+    assert.equal(v1.expiresAt, v1.createdAt + queue.maxAge);
+    assert.deepEqual(await queue.decrypt(v1), { submission: makeSubmission('v1'), transports });
+
+    const moved = await queue.decrypt(queue.stores.queue.get('generated-key'));
+    assert.equal(moved.submission.name, 'Legacy & Lee', 'HTML-encoded by the old form, decoded');
+    assert.equal(moved.submission.message, 'Quote for pumps &amp; valves', 'decoded once');
+    assert.equal(moved.submission.idempotencyKey, 'generated-key');
+    assert.deepEqual(moved.transports, [{ type: 'formspree', url: 'https://formspree.example/f/abc' }]);
+
+    // Nothing left to migrate
+    assert.equal(await queue.migrateLegacy(transports), 0);
+});
+
+test('migrateLegacy discards a corrupt localStorage queue', async (t) => {
+    useClock(t);
+    const queue = createMemoryQueue();
+
+    const saved = { localStorage: global.localStorage, SecurityUtils: global.SecurityUtils };
+    const storage = new Map();
+    global.localStorage = {
+        getItem: (key) => (storage.has(key) ? storage.get(key) : null),
+        removeItem: (key) => storage.delete(key)
+    };
+    global.SecurityUtils = { generateIdempotencyKey: () => 'generated-key', decodeEntities };
+    t.mock.method(console, 'warn', () => {});
+    t.after(() => Object.assign(global, saved));
+
+    storage.set(queue.legacyKey, '[{"name":"Legacy Lee",');
+    assert.equal(await queue.migrateLegacy(transports), 0);
+    assert.equal(storage.has(queue.legacyKey), false, 'the bad value is removed');
+    assert.equal(console.warn.mock.callCount(), 1);
+
+    // Valid JSON of the wrong shape: only submission objects are moved
+    storage.set(queue.legacyKey, '{"name":"Legacy Lee"}');
+    assert.equal(await queue.migrateLegacy(transports), 0);
+    storage.set(queue.legacyKey, JSON.stringify([null, 'x', makeSubmission(undefined, { name: 'Legacy Lee' })]));
+    assert.equal(await queue.migrateLegacy(transports), 1);
+    assert.equal(storage.has(queue.legacyKey), false);
+    assert.equal(queue.stores.queue.size, 1);
+});
+
+test('submissions are encrypted at rest and decrypt to what was queued', async (t) => {
+    useClock(t);
+    const queue = createMemoryQueue();
+    const submission = makeSubmission('a', { items: [{ id: 'emco-dpm', name: 'EMCO DPM', quantity: 2, notes: '' }] });
+    await queue.add(submission, transports);
+
+    const stored = queue.stores.queue.get('a');
+    assert.deepEqual(Object.keys(stored).sort(),
+        ['attempts', 'claimedUntil', 'createdAt', 'data', 'expiresAt', 'heldUntil', 'id', 'iv', 'lastError', 'maxAge', 'nextAttemptAt', 'status']);
+    assert.equal(stored.iv.length, 12);
+    assert.ok(!Buffer.from(stored.data).toString('latin1').includes('minji@example.kr'), 'no plain text');
+
+    assert.deepEqual(await queue.decrypt(stored), { submission, transports });
+    assert.deepEqual((await queue.getEntries())[0].submission, submission);
+
+    // Fresh IV per item, so equal submissions don't give equal ciphertexts
+    const again = await queue.encrypt({ submission, transports });
+    assert.notDeepEqual(Buffer.from(again.iv), Buffer.from(stored.iv));
+
+    // Tampered ciphertext fails authentication
+    const tampered = new Uint8Array(stored.data);
+    tampered[0] ^= 1;
+    await assert.rejects(queue.decrypt(Object.assign({}, stored, { data: tampered.buffer })));
+});
+
+test('the device key is created once and shared', async (t) => {
+    useClock(t);
+    const queue = createMemoryQueue();
+    const [first, second] = await Promise.all([queue.getKey(), queue.getKey()]);
+
+    assert.equal(first, second);
+    assert.equal(first.extractable, false);
+    assert.equal(queue.stores.keys.size, 1);
+
+    // Another context (the service worker) finds the stored key
+    const worker = createMemoryQueue();
+    worker.stores.keys = queue.stores.keys;
+    assert.equal(await worker.getKey(), first);
+});
+
+test('purgeExpired deletes items past their expiry, keeping their own maxAge', async (t) => {
+    const clock = useClock(t);
+    const queue = createMemoryQueue();
+    const day = 24 * 60 * 60 * 1000;
+
+    await queue.add(makeSubmission('week'), transports);
+    queue.config = { maxAge: 2 * day };
+    await queue.add(makeSubmission('short'), transports);
+    assert.equal(queue.stores.queue.get('short').maxAge, 2 * day);
+
+    // Queued by the first IndexedDB version: no expiresAt, the configured maxAge applies
+    queue.stores.queue.set('v1', { id: 'v1', status: 'pending', createdAt: clock.now() - 3 * day, submission: makeSubmission('v1') });
+
+    clock.advance(2 * day - 1);
+    assert.equal(await queue.purgeExpired(), 1);
+    assert.deepEqual(Array.from(queue.stores.queue.keys()).sort(), ['short', 'week']);
+
+    clock.advance(1);
+    assert.equal(await queue.purgeExpired(), 1);
+    assert.deepEqual(Array.from(queue.stores.queue.keys()), ['week']);
+
+    clock.advance(5 * day);
+    assert.equal(await queue.purgeExpired(), 1);
+    assert.equal(queue.stores.queue.size, 0);
+});
+
+test('maxAge is read from the page configuration', (t) => {
+    const saved = global.document;
+    t.after(() => {
+        global.document = saved;
+    });
+    const page = (json) => ({
+        getElementById: (id) => (id === 'inquiryQueue' && json !== null ? { textContent: json } : null)
+    });
+    const day = 24 * 60 * 60 * 1000;
+
+    global.document = page('{ "maxAgeDays": 2 }');
+    assert.equal(createMemoryQueue().getConfig().maxAge, 2 * day);
+
+    global.document = page(null);
+    assert.equal(createMemoryQueue().getConfig().maxAge, InquiryQueue.maxAge);
+
+    // Invalid settings fall back to the default
+    const error = console.error;
+    console.error = () => {};
+    t.after(() => {
+        console.error = error;
+    });
+    global.document = page('{ "maxAgeDays": -1 }');
+    assert.equal(createMemoryQueue().getConfig().maxAge, InquiryQueue.maxAge);
+    global.document = page('not json');
+    assert.equal(createMemoryQueue().getConfig().maxAge, InquiryQueue.maxAge);
+});
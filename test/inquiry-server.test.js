@@ -0,0 +1,221 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { createServer } = require('../server/inquiry-server.js');
+const { createMockTransport } = require('../server/mailer.js');
+const { createStore } = require('../server/store.js');
+
+const ORIGIN = 'https://vuanhco.com';
+
+const validInquiry = {
+    name: 'Kim Minji',
+    email: 'minji@example.kr',
+    phone: '+82 10-2345-6789',
+    product: 'EMCO DPM',
+    message: 'Please send a quotation for two DPM units.',
+    _language: 'ko',
+    _fill_time: '12000'
+};
+
+/**
+ * Inquiry service on a random port with a fresh store → { post, store, transport, close }
+ */
+async function startService(options = {}) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'inquiry-test-'));
+    const store = createStore(path.join(dir, 'inquiries.json'));
+    const transport = options.transport || createMockTransport({ log: false });
+    const server = createServer(Object.assign({
+        store,
+        transport,
+        allowedOrigins: [ORIGIN],
+        mailFrom: 'noreply@vuanhco.com',
+        mailTo: ['vuanh@vuanhco.com']
+    }, options));
+
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    const base = `http://127.0.0.1:${server.address().port}/inquiries`;
+
+    const token = async () => {
+        const response = await fetch(`${base}/token`, { headers: { Origin: ORIGIN } });
+        return (await response.json()).token;
+    };
+
+    const post = async (fields) => {
+        const response = await fetch(base, {
+            method: 'POST',
+            headers: { Origin: ORIGIN, 'Content-Type': 'application/json' },
+            body: JSON.stringify(Object.assign({ _csrf: await token() }, fields))
+        });
+        return { status: response.status, body: await response.json() };
+    };
+
+    const close = async () => {
+        await new Promise(resolve => server.close(resolve));
+        fs.rmSync(dir, { recursive: true, force: true });
+    };
+
+    return { base, token, post, store, transport, close };
+}
+
+test('a valid inquiry is stored and mailed', async (t) => {
+    const service = await startService();
+    t.after(service.close);
+
+    const { status, body } = await service.post(validInquiry);
+    assert.equal(status, 200);
+    assert.equal(body.ok, true);
+
+    const [stored] = await service.store.list();
+    assert.equal(stored.id, body.id);
+    assert.equal(stored.phone, '+821023456789');
+    assert.equal(stored.language, 'ko');
+    assert.equal(stored.spam.flagged, false);
+    assert.equal(stored.mail.status, 'sent');
+
+    assert.equal(service.transport.sent.length, 1);
+    const mail = service.transport.sent[0];
+    assert.equal(mail.subject, 'New inquiry from Kim Minji (EMCO DPM)');
+    assert.deepEqual(mail.replyTo, { name: 'Kim Minji', address: 'minji@example.kr' });
+    assert.match(mail.text, /Please send a quotation for two DPM units\./);
+});
+
+test('text is stored and mailed as typed, not HTML-encoded', async (t) => {
+    const service = await startService();
+    t.after(service.close);
+
+    // At the length limit only as plain text ("&" would be five characters encoded)
+    const name = `O'Brien & "Partners" ${'x'.repeat(79)}`;
+    assert.equal(name.length, 100);
+    const { status } = await service.post(Object.assign({}, validInquiry, {
+        name,
+        product: 'R&D <lab>',
+        message: 'Quote for R&D: 2 × DPM, "as discussed" <urgent>'
+    }));
+    assert.equal(status, 200);
+
+    const [stored] = await service.store.list();
+    assert.equal(stored.name, name);
+    assert.equal(stored.product, 'R&D <lab>');
+
+    const mail = service.transport.sent[0];
+    assert.match(mail.text, /Product: R&D <lab>/);
+    assert.match(mail.text, /Quote for R&D: 2 × DPM, "as discussed" <urgent>/);
+    assert.doesNotMatch(mail.text, /&amp;|&#039;|&quot;|&lt;/);
+});
+
+test('invalid fields are rejected with 422 in the visitor\'s language', async (t) => {
+    const service = await startService();
+    t.after(service.close);
+
+    const { status, body } = await service.post(Object.assign({}, validInquiry, { email: 'minji@', message: 'Hi' }));
+    assert.equal(status, 422);
+    assert.equal(body.ok, false);
+    assert.deepEqual(body.errors.map(error => error.field), ['email', 'message']);
+    assert.deepEqual(body.errors.map(error => error.code), ['contact.form.errorEmail', 'contact.form.errorMessage']);
+    assert.ok(body.errors.every(error => /[가-힯]/.test(error.message)), 'messages are in Korean');
+
+    assert.deepEqual(await service.store.list(), []);
+    assert.equal(service.transport.sent.length, 0);
+});
+
+test('a phone number too short for its country is rejected with an example', async (t) => {
+    const service = await startService();
+    t.after(service.close);
+
+    const { status, body } = await service.post(Object.assign({}, validInquiry, { phone: '+82 10-2345', _language: 'en' }));
+    assert.equal(status, 422);
+    assert.equal(body.errors[0].field, 'phone');
+    assert.equal(body.errors[0].code, 'contact.form.errorPhoneCountry');
+    assert.match(body.errors[0].message, /010-2345-6789/);
+});
+
+test('spam is flagged and still accepted', async (t) => {
+    const service = await startService();
+    t.after(service.close);
+
+    const { status, body } = await service.post(Object.assign({}, validInquiry, {
+        message: 'Best casino bonus http://a.example http://b.example http://c.example',
+        _gotcha: 'http://spam.example',
+        _fill_time: '400',
+        _spam_score: '18'
+    }));
+    assert.equal(status, 200);
+    assert.equal(body.ok, true);
+
+    const [stored] = await service.store.list();
+    assert.equal(stored.spam.flagged, true);
+    assert.equal(stored.spam.clientScore, 18);
+    assert.ok(stored.spam.signals.includes('honeypot'));
+    assert.ok(stored.spam.signals.includes('tooFast'));
+    assert.ok(stored.spam.signals.includes('keyword:casino'));
+    assert.match(service.transport.sent[0].subject, /^\[Spam\?\] /);
+});
+
+test('a mail failure keeps the inquiry and still answers ok', async (t) => {
+    const transport = {
+        name: 'failing',
+        send: async () => {
+            throw new Error('SMTP RCPT failed: 550 mailbox unavailable');
+        }
+    };
+    const service = await startService({ transport });
+    t.after(service.close);
+
+    const { status, body } = await service.post(validInquiry);
+    assert.equal(status, 200);
+    assert.equal(body.ok, true);
+
+    const [stored] = await service.store.list();
+    assert.equal(stored.id, body.id);
+    assert.deepEqual(stored.mail, { status: 'failed', error: 'SMTP RCPT failed: 550 mailbox unavailable' });
+});
+
+test('requests from other origins are refused', async (t) => {
+    const service = await startService();
+    t.after(service.close);
+
+    const response = await fetch(`${service.base}/token`, { headers: { Origin: 'https://evil.example' } });
+    assert.equal(response.status, 403);
+});
+
+test('a retry with the same idempotency key returns the first result without a second mail', async (t) => {
+    const service = await startService();
+    t.after(service.close);
+
+    const retry = Object.assign({}, validInquiry, { _idempotency_key: 'retry-key-0123456789abcdef' });
+    const first = await service.post(retry);
+    const second = await service.post(retry);
+
+    assert.equal(first.status, 200);
+    assert.equal(second.status, 200);
+    assert.equal(second.body.id, first.body.id);
+    assert.equal(second.body.duplicate, true);
+    assert.equal((await service.store.list()).length, 1);
+    assert.equal(service.transport.sent.length, 1);
+});
+
+test('a submission without a valid one-time token is refused', async (t) => {
+    const service = await startService();
+    t.after(service.close);
+
+    const send = async (csrf) => {
+        const response = await fetch(service.base, {
+            method: 'POST',
+            headers: { Origin: ORIGIN, 'Content-Type': 'application/json' },
+            body: JSON.stringify(Object.assign({}, validInquiry, csrf === undefined ? {} : { _csrf: csrf }))
+        });
+        return { status: response.status, code: (await response.json()).errors?.[0]?.code };
+    };
+
+    assert.deepEqual(await send(undefined), { status: 403, code: 'csrf_missing' });
+    assert.deepEqual(await send('forged.1.token'), { status: 403, code: 'csrf_invalid' });
+
+    const token = await service.token();
+    assert.equal((await send(token)).status, 200);
+    assert.deepEqual(await send(token), { status: 403, code: 'csrf_used' });
+
+    assert.equal(service.transport.sent.length, 1);
+});
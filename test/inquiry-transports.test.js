@@ -0,0 +1,196 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const InquiryTransports = require('../inquiry-transports.js');
+const i18n = require('../i18n.js');
+
+const submission = {
+    name: 'Kim Minji',
+    email: 'minji@example.kr',
+    phone: '+821023456789',
+    product: 'EMCO DPM',
+    message: 'Please send a quotation for two DPM units.',
+    language: 'ko',
+    timestamp: Date.parse('2026-03-01T08:00:00Z'),
+    idempotencyKey: 'key-0123456789abcdef'
+};
+
+const transports = [
+    { type: 'api', url: 'https://api.example/inquiries' },
+    { type: 'formspree', url: 'https://formspree.example/f/abc' },
+    { type: 'mailto', address: 'vuanh@vuanhco.com' }
+];
+
+// Korean page texts of the mailto subject
+const messages = {
+    'contact.form.mailSubject': '{name}님의 문의',
+    'contact.form.mailSubjectProduct': '{name}님의 문의 ({product})'
+};
+
+const json = (status, body) => new Response(JSON.stringify(body), { status, headers: { 'Content-Type': 'application/json' } });
+
+/**
+ * Stub the browser globals the drivers use; fetch answers with handler(url, options)
+ * → { calls: [url, ...], window }
+ */
+function stubBrowser(t, handler, options = {}) {
+    const calls = [];
+    let tokens = 0;
+    const saved = {
+        fetch: global.fetch,
+        navigator: Object.getOwnPropertyDescriptor(global, 'navigator'),
+        window: global.window,
+        SecurityUtils: global.SecurityUtils,
+        i18n: global.i18n
+    };
+
+    global.fetch = async (url, init) => {
+        calls.push(url);
+        return handler(url, init);
+    };
+    Object.defineProperty(global, 'navigator', { value: { onLine: options.onLine !== false }, configurable: true, writable: true });
+    global.window = { location: { href: 'https://vuanhco.com/' } };
+    global.SecurityUtils = { fetchCSRFToken: async () => `token-${++tokens}` };
+    global.i18n = { t: (key, params) => i18n.formatMessage(messages[key], params, 'ko') };
+
+    t.after(() => {
+        global.fetch = saved.fetch;
+        if (saved.navigator) {
+            Object.defineProperty(global, 'navigator', saved.navigator);
+        } else {
+            delete global.navigator;
+        }
+        global.window = saved.window;
+        global.SecurityUtils = saved.SecurityUtils;
+        global.i18n = saved.i18n;
+    });
+    return { calls, window: global.window };
+}
+
+test('the first transport that succeeds delivers the submission', async (t) => {
+    const browser = stubBrowser(t, () => json(200, { ok: true, id: '1' }));
+
+    const result = await InquiryTransports.send(submission, { transports, interactive: true });
+    assert.deepEqual(result, { transport: 'api', delivered: true });
+    assert.deepEqual(browser.calls, ['https://api.example/inquiries']);
+});
+
+test('a network error moves on to the next transport', async (t) => {
+    const browser = stubBrowser(t, (url) => {
+        if (url.startsWith('https://api.example')) throw new TypeError('Failed to fetch');
+        return json(200, { ok: true });
+    });
+
+    const result = await InquiryTransports.send(submission, { transports });
+    assert.deepEqual(result, { transport: 'formspree', delivered: true });
+    assert.deepEqual(browser.calls, ['https://api.example/inquiries', 'https://formspree.example/f/abc']);
+});
+
+test('server errors (5xx) move on to the next transport', async (t) => {
+    stubBrowser(t, (url) => url.startsWith('https://api.example') ? json(503, {}) : json(200, { ok: true }));
+
+    const result = await InquiryTransports.send(submission, { transports });
+    assert.equal(result.transport, 'formspree');
+});
+
+test('a rejected submission (4xx) stops the failover and reaches the caller', async (t) => {
+    const browser = stubBrowser(t, () => json(422, {
+        ok: false,
+        errors: [{ field: 'email', code: 'contact.form.errorEmail', message: '올바른 이메일 주소를 입력해 주세요' }]
+    }));
+
+    await assert.rejects(InquiryTransports.send(submission, { transports, interactive: true }), (error) => {
+        assert.equal(error.permanent, true);
+        assert.equal(error.status, 422);
+        assert.equal(error.code, 'contact.form.errorEmail');
+        assert.equal(error.message, '올바른 이메일 주소를 입력해 주세요');
+        return true;
+    });
+    assert.deepEqual(browser.calls, ['https://api.example/inquiries']);
+    assert.equal(browser.window.location.href, 'https://vuanhco.com/', 'mail app not opened');
+});
+
+test('rate limiting (429) is not permanent', async (t) => {
+    stubBrowser(t, (url) => url.startsWith('https://api.example') ? json(429, {}) : json(200, { ok: true }));
+
+    const result = await InquiryTransports.send(submission, { transports });
+    assert.equal(result.transport, 'formspree');
+});
+
+test('mailto is the fallback only for an interactive submit while online', async (t) => {
+    const browser = stubBrowser(t, () => {
+        throw new TypeError('Failed to fetch');
+    });
+
+    await assert.rejects(InquiryTransports.send(submission, { transports }), /Failed to fetch/);
+    assert.equal(browser.window.location.href, 'https://vuanhco.com/');
+
+    const result = await InquiryTransports.send(submission, { transports, interactive: true });
+    assert.deepEqual(result, { transport: 'mailto', delivered: false });
+    assert.match(browser.window.location.href, /^mailto:vuanh@vuanhco\.com\?subject=/);
+});
+
+test('the mailto subject is in the page language and the text is sent as typed', async (t) => {
+    const browser = stubBrowser(t, () => {
+        throw new TypeError('Failed to fetch');
+    });
+
+    await InquiryTransports.send(Object.assign({}, submission, {
+        name: 'O\'Brien & Co',
+        message: 'Quote for R&D: "two" <DPM> units'
+    }), { transports, interactive: true });
+
+    const url = new URL(browser.window.location.href);
+    assert.equal(url.searchParams.get('subject'), 'O\'Brien & Co님의 문의 (EMCO DPM)');
+    const body = url.searchParams.get('body');
+    assert.match(body, /^Name: O'Brien & Co$/m);
+    assert.match(body, /^Quote for R&D: "two" <DPM> units$/m);
+
+    await InquiryTransports.send(Object.assign({}, submission, { product: '' }), { transports, interactive: true });
+    assert.equal(new URL(browser.window.location.href).searchParams.get('subject'), 'Kim Minji님의 문의');
+});
+
+test('no mailto fallback while offline', async (t) => {
+    const browser = stubBrowser(t, () => {
+        throw new TypeError('Failed to fetch');
+    }, { onLine: false });
+
+    await assert.rejects(InquiryTransports.send(submission, { transports, interactive: true }), /Failed to fetch/);
+    assert.equal(browser.window.location.href, 'https://vuanhco.com/');
+});
+
+test('a rejected CSRF token is retried once with a fresh token', async (t) => {
+    const sentTokens = [];
+    const browser = stubBrowser(t, (url, init) => {
+        sentTokens.push(init.body.get('_csrf'));
+        return sentTokens.length === 1
+            ? json(403, { ok: false, errors: [{ field: null, code: 'csrf_expired', message: 'Form token expired' }] })
+            : json(200, { ok: true, id: '1' });
+    });
+
+    const result = await InquiryTransports.send(submission, { transports: transports.slice(0, 1) });
+    assert.deepEqual(result, { transport: 'api', delivered: true });
+    assert.deepEqual(sentTokens, ['token-1', 'token-2']);
+    assert.equal(browser.calls.length, 2);
+});
+
+test('a second CSRF rejection is not retried again', async (t) => {
+    const browser = stubBrowser(t, () => json(403, { ok: false, errors: [{ code: 'csrf_used', message: 'Form token already used' }] }));
+
+    await assert.rejects(InquiryTransports.send(submission, { transports }), (error) => error.code === 'csrf_used' && error.permanent);
+    assert.deepEqual(browser.calls, ['https://api.example/inquiries', 'https://api.example/inquiries']);
+});
+
+test('the api transport sends the idempotency key and form fields', async (t) => {
+    let body;
+    stubBrowser(t, (url, init) => {
+        body = init.body;
+        return json(200, { ok: true });
+    });
+
+    await InquiryTransports.send(submission, { transports: transports.slice(0, 1) });
+    assert.equal(body.get('_idempotency_key'), 'key-0123456789abcdef');
+    assert.equal(body.get('phone'), '+821023456789');
+    assert.equal(body.get('_language'), 'ko');
+    assert.equal(body.get('_timestamp'), '2026-03-01T08:00:00.000Z');
+});
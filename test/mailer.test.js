@@ -0,0 +1,106 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const net = require('net');
+const tls = require('tls');
+
+const { createTransport, createSmtpTransport } = require('../server/mailer.js');
+
+const message = {
+    from: 'noreply@vuanhco.com',
+    to: ['vuanh@vuanhco.com'],
+    replyTo: { name: 'Kim Minji', address: 'minji@example.kr' },
+    subject: 'New inquiry from Kim Minji',
+    text: 'Hello'
+};
+
+/**
+ * Plain-text SMTP server that offers no STARTTLS and records the commands it receives
+ */
+async function startPlainSmtp() {
+    const commands = [];
+    const server = net.createServer(socket => {
+        socket.write('220 test ESMTP\r\n');
+        let buffer = '';
+        let data = false;
+        socket.on('data', chunk => {
+            buffer += chunk.toString('latin1');
+            const lines = buffer.split('\r\n');
+            buffer = lines.pop();
+            lines.forEach(line => {
+                if (data) {
+                    if (line === '.') {
+                        data = false;
+                        socket.write('250 queued\r\n');
+                    }
+                    return;
+                }
+                commands.push(line);
+                const verb = line.split(' ')[0].toUpperCase();
+                if (verb === 'EHLO') {
+                    socket.write('250-test\r\n250 AUTH PLAIN\r\n');
+                } else if (verb === 'DATA') {
+                    data = true;
+                    socket.write('354 go ahead\r\n');
+                } else if (verb === 'QUIT') {
+                    socket.end('221 bye\r\n');
+                } else {
+                    socket.write('250 ok\r\n');
+                }
+            });
+        });
+        socket.on('error', () => {});
+    });
+
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    return {
+        port: server.address().port,
+        commands,
+        close: () => new Promise(resolve => server.close(resolve))
+    };
+}
+
+test('credentials are never sent over an unencrypted connection', async (t) => {
+    const smtp = await startPlainSmtp();
+    t.after(smtp.close);
+
+    const transport = createSmtpTransport({ host: '127.0.0.1', port: smtp.port, user: 'sales', pass: 'secret', timeout: 2000 });
+    await assert.rejects(transport.send(message), /AUTH refused: the connection is not encrypted/);
+    assert.ok(smtp.commands.some(line => line.startsWith('EHLO')));
+    assert.ok(!smtp.commands.some(line => /^AUTH/i.test(line)), 'no AUTH command');
+});
+
+test('without credentials a plain relay is still allowed', async (t) => {
+    const smtp = await startPlainSmtp();
+    t.after(smtp.close);
+
+    const transport = createSmtpTransport({ host: '127.0.0.1', port: smtp.port, timeout: 2000 });
+    const result = await transport.send(message);
+    assert.match(result.id, /^<.+@vuanhco\.com>$/);
+    assert.ok(smtp.commands.includes('RCPT TO:<vuanh@vuanhco.com>'));
+});
+
+test('createTransport needs SMTP_HOST unless the mock is asked for', () => {
+    assert.throws(() => createTransport({}), /SMTP_HOST is not set/);
+    assert.throws(() => createTransport({ MAIL_TRANSPORT: 'smtp' }), /SMTP_HOST is not set/);
+    assert.throws(() => createTransport({ MAIL_TRANSPORT: 'sendmail', SMTP_HOST: 'mail.example' }), /Unknown MAIL_TRANSPORT/);
+
+    assert.equal(createTransport({ MAIL_TRANSPORT: 'mock' }).name, 'mock');
+    assert.equal(createTransport({ SMTP_HOST: 'mail.example' }).name, 'smtp');
+});
+
+test('implicit TLS defaults to port 465, STARTTLS to 587', async (t) => {
+    const ports = [];
+    const refuse = (options) => {
+        ports.push(options.port);
+        const socket = new net.Socket();
+        process.nextTick(() => socket.destroy(new Error('connection refused')));
+        return socket;
+    };
+    t.mock.method(tls, 'connect', refuse);
+    t.mock.method(net, 'connect', refuse);
+
+    await assert.rejects(createTransport({ SMTP_HOST: 'mail.example', SMTP_SECURE: 'true' }).send(message), /refused/);
+    await assert.rejects(createTransport({ SMTP_HOST: 'mail.example' }).send(message), /refused/);
+    await assert.rejects(createTransport({ SMTP_HOST: 'mail.example', SMTP_SECURE: 'true', SMTP_PORT: '2465' }).send(message), /refused/);
+    assert.deepEqual(ports, [465, 587, 2465]);
+});
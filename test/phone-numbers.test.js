@@ -0,0 +1,110 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const PhoneNumbers = require('../phone-numbers.js');
+
+// [selected country, input, expected E.164 (null when invalid), expected error, country of the result]
+const cases = [
+    // Vietnam: trunk prefix, +, 00, calling code typed without +, (0) after the code, landline
+    ['VN', '091 234 5678', '+84912345678'],
+    ['VN', '0912345678', '+84912345678'],
+    ['VN', '+84 91 234 5678', '+84912345678'],
+    ['VN', '0084 91 234 5678', '+84912345678'],
+    ['VN', '84912345678', '+84912345678'],
+    ['VN', '+84 (0)91 234 5678', '+84912345678'],
+    ['VN', '028 3846 0626', '+842838460626'],
+    ['VN', '091234567', null, 'country'],
+    ['VN', '0912345678901', null, 'country'],
+
+    // China: mobile, Beijing landline
+    ['CN', '131 2345 6789', '+8613123456789'],
+    ['CN', '+86 131 2345 6789', '+8613123456789'],
+    ['CN', '010 1234 5678', '+861012345678'],
+    ['CN', '131 2345 678', null, 'country'],
+
+    // Korea: mobile, Seoul landline, trunk prefix kept after the code
+    ['KR', '010-2345-6789', '+821023456789'],
+    ['KR', '02-123-4567', '+8221234567'],
+    ['KR', '+82 10 2345 6789', '+821023456789'],
+    ['KR', '+82 010-2345-6789', '+821023456789'],
+    ['KR', '010-2345', null, 'country'],
+
+    // Japan: mobile, Tokyo landline; a mobile number one digit short is not a landline
+    ['JP', '090-1234-5678', '+819012345678'],
+    ['JP', '03-1234-5678', '+81312345678'],
+    ['JP', '+81 90 1234 5678', '+819012345678'],
+    ['JP', '090-1234-567', null, 'country'],
+    ['JP', '03-1234-56789', null, 'country'],
+
+    // Taiwan
+    ['TW', '0912 345 678', '+886912345678'],
+    ['TW', '02 2345 6789', '+886223456789'],
+    ['TW', '+886 912 345 678', '+886912345678'],
+    ['TW', '0912 345', null, 'country'],
+
+    // Singapore: no trunk prefix
+    ['SG', '8123 4567', '+6581234567'],
+    ['SG', '+65 8123 4567', '+6581234567'],
+    ['SG', '1234 5678', null, 'country'],
+    ['SG', '8123 45678', null, 'country'],
+
+    // Thailand
+    ['TH', '081 234 5678', '+66812345678'],
+    ['TH', '02 123 4567', '+6621234567'],
+    ['TH', '+66 81 234 5678', '+66812345678'],
+    ['TH', '081 234 567', null, 'country'],
+
+    // United States: trunk prefix 1, exchange can't start with 0 or 1
+    ['US', '(201) 555-0123', '+12015550123'],
+    ['US', '1 201 555 0123', '+12015550123'],
+    ['US', '+1 201-555-0123', '+12015550123'],
+    ['US', '(201) 155-0123', null, 'country'],
+    ['US', '201 555 012', null, 'country'],
+
+    // + or 00 picks the country whatever is selected
+    ['VN', '+81 90-1234-5678', '+819012345678', null, 'JP'],
+    ['VN', '0081 90 1234 5678', '+819012345678', null, 'JP'],
+    ['KR', '+1 201 555 0123', '+12015550123', null, 'US'],
+
+    // Countries not in the list: E.164 length only
+    ['VN', '+44 20 7946 0958', '+442079460958', null, null],
+    ['VN', '+49 30 1234567', '+49301234567', null, null],
+    ['VN', '+44 123', null, 'format', null],
+    ['VN', '+44 1234 5678 9012 34', null, 'format', null],
+    ['VN', '+0 1234 5678', null, 'format', null],
+
+    // Not a phone number
+    ['VN', '', null, 'format'],
+    ['VN', '091-234-5678 ext 2', null, 'format'],
+    ['VN', '++84912345678', null, 'format'],
+    ['VN', '+84 91 234 5678 / 0912345678', null, 'format'],
+
+    // Unknown or missing country: Vietnam
+    ['XX', '0912345678', '+84912345678', null, 'VN'],
+    [undefined, '0912345678', '+84912345678', null, 'VN']
+];
+
+cases.forEach(([country, input, e164, error = null, resultCountry = country]) => {
+    test(`${country || '(none)'} ${JSON.stringify(input)} → ${e164 || error}`, () => {
+        const parsed = PhoneNumbers.parse(input, country);
+        assert.deepEqual(parsed, {
+            valid: e164 !== null,
+            country: resultCountry,
+            e164,
+            error: e164 !== null ? null : error
+        });
+    });
+});
+
+test('normalize returns E.164, or the input unchanged when it does not parse', () => {
+    assert.equal(PhoneNumbers.normalize('010-2345-6789', 'KR'), '+821023456789');
+    assert.equal(PhoneNumbers.normalize('010-2345', 'KR'), '010-2345');
+});
+
+test('every country example parses for its country', () => {
+    PhoneNumbers.countries.forEach(country => {
+        const parsed = PhoneNumbers.parse(country.example, country.code);
+        assert.equal(parsed.valid, true, `${country.code} ${country.example}`);
+        assert.equal(parsed.country, country.code);
+    });
+});
@@ -0,0 +1,49 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+global.ProductCatalog = require('../catalog.js');
+const ProductSearch = require('../product-search.js');
+
+const products = [
+    {
+        id: 'emco-dpm',
+        name: { en: 'EMCO DPM', vi: 'Máy Đo DPM', ja: 'EMCO DPM データ分析', ko: 'EMCO DPM 계측기' },
+        keywords: ['emco', 'dpm']
+    },
+    {
+        id: 'igt-printability',
+        name: { en: 'IGT Printability Tester', ja: 'IGT 印刷適性試験機', ko: 'IGT 인쇄적성 시험기' },
+        keywords: ['igt', 'printability']
+    }
+];
+
+test('normalize strips Latin diacritics and punctuation', () => {
+    assert.equal(ProductSearch.normalize('Máy Đo Độ Ẩm'), 'may do do am');
+    assert.equal(ProductSearch.normalize('R&D "café"'), 'r d cafe');
+});
+
+test('normalize keeps kana with dakuten and Hangul syllables whole', () => {
+    assert.equal(ProductSearch.normalize('データ'), 'データ');
+    assert.equal(ProductSearch.normalize('ガイド'), 'ガイド');
+    assert.equal(ProductSearch.normalize('계측기'), '계측기');
+});
+
+test('normalizeWithMap maps every character back to its source index', () => {
+    const { normalized, map } = ProductSearch.normalizeWithMap('デ한é');
+    assert.equal(normalized, 'デ한e');
+    assert.deepEqual(map, [0, 1, 2]);
+});
+
+test('Japanese and Korean queries match localized product text', () => {
+    ProductSearch.buildIndex(products);
+    assert.deepEqual(Array.from(ProductSearch.search('データ').keys()), ['emco-dpm']);
+    assert.deepEqual(Array.from(ProductSearch.search('계측기').keys()), ['emco-dpm']);
+    assert.deepEqual(Array.from(ProductSearch.search('印刷').keys()), ['igt-printability']);
+});
+
+test('accent-insensitive, typo-tolerant AND matching', () => {
+    ProductSearch.buildIndex(products);
+    assert.deepEqual(Array.from(ProductSearch.search('may do').keys()), ['emco-dpm']);
+    assert.deepEqual(Array.from(ProductSearch.search('printabilty').keys()), ['igt-printability']);
+    assert.equal(ProductSearch.search('emco printability').size, 0);
+});
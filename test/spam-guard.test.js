@@ -0,0 +1,236 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const SpamGuard = require('../spam-guard.js');
+const InquiryTransports = require('../inquiry-transports.js');
+const { normalizeInquiry, assessSpam } = require('../server/inquiry-server.js');
+
+const config = SpamGuard.mergeConfig();
+
+const clean = {
+    name: 'Kim Minji',
+    message: 'Please send a quotation for two DPM units.',
+    items: [],
+    honeypot: '',
+    fillTime: 45000,
+    powValid: false
+};
+
+const score = (data, model = config) => SpamGuard.score(Object.assign({}, clean, data), model);
+
+function useClock(t, now) {
+    const realNow = Date.now;
+    Date.now = () => now;
+    t.after(() => {
+        Date.now = realNow;
+    });
+}
+
+test('a plain inquiry scores nothing', () => {
+    assert.deepEqual(score({}), { score: 0, signals: [], spam: false });
+});
+
+test('a filled honeypot is spam on its own', () => {
+    const result = score({ honeypot: 'http://spam.example' });
+    assert.deepEqual(result.signals, ['honeypot']);
+    assert.equal(result.score, config.weights.honeypot);
+    assert.equal(result.spam, true);
+});
+
+test('fill time: too fast counts, unknown does not', () => {
+    assert.deepEqual(score({ fillTime: config.minFillTime - 1 }).signals, ['tooFast']);
+    assert.deepEqual(score({ fillTime: config.minFillTime }).signals, []);
+    assert.deepEqual(score({ fillTime: null }).signals, []);
+});
+
+test('links beyond the free ones count each, in the message, name and item notes', () => {
+    assert.deepEqual(score({ message: 'Datasheet: https://vuanhco.com/dpm.pdf' }).signals, []);
+
+    const result = score({
+        name: 'www.cheap.example',
+        message: 'See http://a.example and https://b.example',
+        items: [{ id: 'emco-dpm', notes: 'www.c.example' }]
+    });
+    assert.deepEqual(result.signals, ['urls:4']);
+    assert.equal(result.score, (4 - config.freeUrls) * config.weights.url);
+});
+
+test('keywords of every language are checked whatever the page language', () => {
+    const cases = [
+        ['Best CASINO bonus', 'keyword:casino'],
+        ['Đăng ký nhà cái uy tín', 'keyword:nhà cái'],
+        ['最新博彩网站', 'keyword:博彩'],
+        ['바카라 사이트 추천', 'keyword:바카라'],
+        ['簡単に稼げる副業です', 'keyword:副業'],
+        ['Need help with SEO services?', 'keyword:seo services']
+    ];
+    cases.forEach(([message, signal]) => {
+        assert.ok(score({ message }).signals.includes(signal), `${message} → ${signal}`);
+    });
+
+    const result = score({ message: '簡単に稼げる副業です' });
+    assert.deepEqual(result.signals, ['keyword:副業', 'keyword:稼げる']);
+    assert.equal(result.score, 2 * config.weights.keyword);
+});
+
+test('ASCII keywords match whole words only', () => {
+    assert.deepEqual(score({ message: 'Two casinos ordered pumps from us' }).signals, []);
+    assert.deepEqual(score({ message: 'Our pornography filter...' }).signals, []);
+    assert.deepEqual(score({ message: 'casino.' }).signals, ['keyword:casino']);
+});
+
+test('repeated characters and forum markup', () => {
+    assert.deepEqual(score({ message: 'a'.repeat(19) }).signals, []);
+    assert.deepEqual(score({ message: '!'.repeat(20) }).signals, ['repeated']);
+    assert.deepEqual(score({ message: '[url=http://x.example]pumps[/url]' }).signals, ['markup']);
+});
+
+test('the threshold and weights come from the model', () => {
+    const strict = SpamGuard.mergeConfig({ threshold: 2, weights: { url: 1 } });
+    assert.equal(strict.weights.url, 1);
+    assert.equal(strict.weights.honeypot, config.weights.honeypot);
+    assert.equal(config.weights.url, 2, 'defaults untouched');
+
+    assert.equal(score({ fillTime: 100 }).spam, false);
+    assert.equal(score({ fillTime: 100 }, strict).spam, true);
+
+    const replaced = SpamGuard.mergeConfig({ keywords: { en: ['valves'] } });
+    assert.deepEqual(replaced.keywords.en, ['valves']);
+    assert.deepEqual(replaced.keywords.ko, config.keywords.ko);
+    assert.deepEqual(score({ message: 'Need valves' }, replaced).signals, ['keyword:valves']);
+});
+
+test('proof-of-work: solved nonces verify, others do not', async () => {
+    const challenge = SpamGuard.getChallenge('key-0123456789abcdef', Date.parse('2026-03-01T08:00:00Z'));
+    assert.equal(challenge, 'key-0123456789abcdef:2026-03-01T08:00:00.000Z');
+
+    const nonce = await SpamGuard.solveProofOfWork(challenge, 8);
+    assert.equal(typeof nonce, 'string');
+    assert.equal(await SpamGuard.verifyProofOfWork(challenge, nonce, 8), true);
+    assert.equal(await SpamGuard.verifyProofOfWork(`${challenge}x`, nonce, 8), false);
+    assert.equal(await SpamGuard.verifyProofOfWork(challenge, '', 8), false);
+    assert.equal(await SpamGuard.verifyProofOfWork(challenge, 'anything', 0), true);
+});
+
+test('proof-of-work is only asked for when the model sets powBits', () => {
+    const pow = SpamGuard.mergeConfig({ powBits: 8 });
+    assert.deepEqual(score({}, pow).signals, ['pow']);
+    assert.equal(score({}, pow).score, pow.weights.pow);
+    assert.deepEqual(score({ powValid: true }, pow).signals, []);
+    assert.deepEqual(score({}).signals, []);
+});
+
+test('check solves the proof-of-work and measures the fill time', async (t) => {
+    const timestamp = Date.parse('2026-03-01T08:00:00Z');
+    useClock(t, timestamp - 1000);
+    SpamGuard.config = SpamGuard.mergeConfig({ powBits: 8 });
+    t.after(() => {
+        SpamGuard.config = null;
+        SpamGuard.startedAt = null;
+    });
+    SpamGuard.start();
+
+    const spam = await SpamGuard.check({ ...clean, idempotencyKey: 'key-0123456789abcdef', timestamp }, '');
+    assert.equal(spam.fillTime, 1000);
+    assert.deepEqual(spam.signals, ['tooFast']);
+    assert.equal(await SpamGuard.verifyProofOfWork(SpamGuard.getChallenge('key-0123456789abcdef', timestamp), spam.pow, 8), true);
+});
+
+test('the fill time runs from the first focus or input in the form, not from page load', async (t) => {
+    let now = Date.parse('2026-03-01T08:00:00Z');
+    const realNow = Date.now;
+    Date.now = () => now;
+    t.after(() => {
+        Date.now = realNow;
+        SpamGuard.watching = false;
+        SpamGuard.startedAt = null;
+    });
+
+    const form = new EventTarget();
+    SpamGuard.watch(form);
+    const fillTime = async () => (await SpamGuard.check({ ...clean, timestamp: now }, '')).fillTime;
+
+    // Long on the page before reaching the form, then quick
+    now += 60000;
+    form.dispatchEvent(new Event('focusin'));
+    now += 1000;
+    form.dispatchEvent(new Event('input'));
+    now += 1000;
+    assert.equal(await fillTime(), 2000);
+
+    // After a submission the clock waits for the visitor again
+    SpamGuard.reset();
+    now += 30000;
+    assert.equal(await fillTime(), 0, 'submitted without touching the form');
+    form.dispatchEvent(new Event('input'));
+    now += 8000;
+    assert.equal(await fillTime(), 8000);
+});
+
+/**
+ * Score a submission in the browser, send it through the form fields and score it again on the server
+ * → { client, server }
+ */
+async function scoreBothSides(t, submission, options) {
+    useClock(t, submission.timestamp - options.fillTime);
+    SpamGuard.config = SpamGuard.mergeConfig(options.config);
+    const savedGuard = global.SpamGuard;
+    global.SpamGuard = SpamGuard;
+    t.after(() => {
+        SpamGuard.config = null;
+        SpamGuard.startedAt = null;
+        global.SpamGuard = savedGuard;
+    });
+    SpamGuard.start();
+
+    const spam = await SpamGuard.check(submission, options.honeypot || '');
+    const fields = Object.fromEntries(InquiryTransports.toFormData({ ...submission, spam }));
+    const inquiry = normalizeInquiry(fields, submission.idempotencyKey);
+    const server = await assessSpam(fields, inquiry, SpamGuard.mergeConfig(options.config));
+    return { client: spam, server };
+}
+
+const parityCases = [
+    {
+        title: 'a clean quote request',
+        submission: { message: 'Please send a quotation for two DPM units.' },
+        options: { fillTime: 60000 },
+        signals: []
+    },
+    {
+        title: 'a bot with links, keywords and markup in item notes',
+        submission: {
+            message: 'Best 카지노 and casino offers https://a.example https://b.example',
+            items: [{ id: 'emco-dpm', name: 'EMCO DPM', quantity: 1, notes: '[url=http://c.example]出会い系[/url] ' + '!'.repeat(25) }]
+        },
+        options: { fillTime: 800, honeypot: 'http://spam.example' },
+        signals: ['honeypot', 'tooFast', 'urls:3', 'keyword:casino', 'keyword:카지노', 'keyword:出会い系', 'repeated', 'markup']
+    },
+    {
+        title: 'proof-of-work and a model override',
+        submission: { message: 'Cần báo giá, không phải cờ bạc' },
+        options: { fillTime: 1500, config: { powBits: 8, minFillTime: 1000, weights: { keyword: 4 } } },
+        signals: ['keyword:cờ bạc']
+    }
+];
+
+parityCases.forEach(({ title, submission, options, signals }) => {
+    test(`client and server score the same: ${title}`, async (t) => {
+        const { client, server } = await scoreBothSides(t, {
+            name: 'Kim Minji',
+            email: 'minji@example.kr',
+            phone: '+821023456789',
+            product: 'EMCO DPM',
+            items: [],
+            language: 'ko',
+            timestamp: Date.parse('2026-03-01T08:00:00Z'),
+            idempotencyKey: 'key-0123456789abcdef',
+            ...submission
+        }, options);
+
+        assert.deepEqual(client.signals, signals);
+        assert.deepEqual(server.signals, client.signals);
+        assert.equal(server.score, client.score);
+        assert.equal(server.clientScore, client.score);
+    });
+});
@@ -0,0 +1,57 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { createStore } = require('../server/store.js');
+
+function tempStore(t) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'store-test-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    return createStore(path.join(dir, 'data', 'inquiries.json'));
+}
+
+test('inquiries are appended and read back in order', async (t) => {
+    const store = tempStore(t);
+
+    assert.deepEqual(await store.list(), []);
+    assert.equal((await store.add({ id: 'a', idempotencyKey: null })).created, true);
+    assert.equal((await store.add({ id: 'b', idempotencyKey: null })).created, true);
+
+    assert.deepEqual((await store.list()).map(item => item.id), ['a', 'b']);
+    assert.ok(fs.existsSync(store.file));
+});
+
+test('the same idempotency key returns the stored inquiry', async (t) => {
+    const store = tempStore(t);
+    const key = 'k'.repeat(32);
+
+    const first = await store.add({ id: 'a', idempotencyKey: key, message: 'first' });
+    const second = await store.add({ id: 'b', idempotencyKey: key, message: 'second' });
+
+    assert.equal(first.created, true);
+    assert.equal(second.created, false);
+    assert.equal(second.inquiry.id, 'a');
+    assert.equal(second.inquiry.message, 'first');
+    assert.equal((await store.list()).length, 1);
+});
+
+test('concurrent adds with one key store a single inquiry', async (t) => {
+    const store = tempStore(t);
+    const key = 'c'.repeat(32);
+
+    const results = await Promise.all(['a', 'b', 'c'].map(id => store.add({ id, idempotencyKey: key })));
+    assert.deepEqual(results.map(result => result.created), [true, false, false]);
+    assert.equal((await store.list()).length, 1);
+});
+
+test('update merges changes into a stored inquiry', async (t) => {
+    const store = tempStore(t);
+    await store.add({ id: 'a', idempotencyKey: null, mail: { status: 'pending' } });
+
+    const updated = await store.update('a', { mail: { status: 'sent', id: '<1@vuanhco.com>' } });
+    assert.deepEqual(updated.mail, { status: 'sent', id: '<1@vuanhco.com>' });
+    assert.deepEqual((await store.list())[0].mail, { status: 'sent', id: '<1@vuanhco.com>' });
+    assert.equal(await store.update('missing', { mail: null }), null);
+});